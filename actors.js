@@ -1,18 +1,54 @@
-const { sendEmail, writeEmailOptions } = require('./utils/emailUtils');
-const { initDB, getDatasetUploadRequest, putDatasetUploadRequestStatusChange } = require('./utils/modelUtils');
-const { events } = require('./events');
+const { sendEmail, queueEmail, writeEmailOptions, unsendable, transferParams } = require('./src/utils/emailUtils');
+const { initDB, getDatasetUploadRequest, putDatasetUploadRequestStatusChange, scheduleReminders, cancelReminders, dueReminders, claimReminder, notificationRecipients, followedDatasets, allDatasets, collectDigestItems, pendingDigests, claimDigest, takeDigestItems, stageTransitionsBetween, userExists, dueEmails, claimEmail, markEmailSent, markEmailFailed, dueEmbargoes, liftEmbargo, lastEmbargoLift, fileUploadTotals } = require('./src/utils/modelUtils');
+const { outboxOptions, nextAttemptAt, stuckBefore } = require('./src/utils/outboxUtils');
+const { digestOptions, isDigestDue, digestSummary } = require('./src/utils/digestUtils');
+const { reminderOptions, reminderSchedule, daysLeft } = require('./src/utils/reminderUtils');
+const { transferOptions } = require('./src/utils/transferUtils');
+const { embargoOptions, announceSince } = require('./src/utils/embargoUtils');
+const { audit, auditActions, auditTargets } = require('./src/utils/auditUtils');
+const { events } = require('./src/events');
+const { canSeeDataset } = require('./src/utils/policyUtils');
+const logUtils = require('./src/utils/logUtils');
 
 const { start, dispatch, stop, spawnStateless, spawn } = require('nact');
 
 // Overarching Actor System
 const system = start();
 
+// the log entries about a message carry the request that caused it, and the dataset it's about (see logUtils)
+const messageLog = msg => logUtils.logger.child({
+    request_id: msg.request_id,
+    status: msg.status,
+    accession_id: !!msg.params ? msg.params.accession_id : undefined,
+});
+
 const mailer = spawnStateless(
     system,
     async (msg, ctx) => {
-        // console.log(`Hello from email with ${msg.status}`)
-        const emailOptions = writeEmailOptions(msg.status, msg.params);
-        await sendEmail(emailOptions).catch(console.error);
+        // everyone concerned with the dataset, who wants to hear about this status, and may see the dataset
+        // some want to hear about it right away, others in their digest
+        const { emails: recipients, digest } = await notificationRecipients({ event: msg.status, accession_id: msg.params.accession_id }, canSeeDataset).catch(error => {
+            messageLog(msg).error('recipients failed', { error });
+            return { emails: [], digest: [] };
+        });
+        if (digest.length > 0) {
+            await collectDigestItems(digest, { event: msg.status, accession_id: msg.params.accession_id, params: msg.params })
+                .catch(logUtils.logError('digest failed', {}, messageLog(msg)));
+        }
+        if (recipients.length === 0) {
+            return;
+        }
+        const emailOptions = writeEmailOptions(msg.status, msg.params, recipients);
+        // not every status has an email
+        if (Object.keys(emailOptions).length === 0) {
+            return;
+        }
+        // the courier sends it
+        await queueEmail(emailOptions, {
+            event: msg.status,
+            accession_id: msg.params.accession_id,
+            dataset_id: msg.params.dataset_id,
+        }).catch(logUtils.logError('queueing email failed', {}, messageLog(msg)));
     },
     'mailer'
 );
@@ -20,78 +56,326 @@ const mailer = spawnStateless(
 const logger = spawnStateless(
     system,
     async (msg, ctx) => {
-        // console.log(`Hello from logger with ${msg.status}`)
-        // TODO: map to stdout/redis?
-        // TODO: parse structure?
-        // Logger.info
-        console.log(Date.now(), msg);
+        const { request_id, status, params, ...rest } = msg;
+        messageLog(msg).info(status || msg.event || 'message', { params, ...rest });
     },
     'logger'
 );
 
-// TODO: Dangerous! to have an event loop like this (can result in infinite emails!)
-// Wish I knew TLA+ right now...
+// Reminders are kept in the database instead of in timers, so that they outlive restarts
+// This actor only schedules and cancels them; the timer sends them when they're due
 const reminder = spawnStateless(
     system,
     async (msg, ctx) => {
-        // TODO: wait a certain amount of time
-        // THEN check state
-        // THEN dispatch message based on diff in state
-        dispatch(mailer, msg);
+        const { id, accession_id, deadline } = msg.params;
+        switch (msg.status) {
+            case events.transfers.UPLOAD_SUCCESS:
+                // the dataset can be downloaded from now until its deadline
+                if (!!deadline && new Date(deadline) > new Date()) {
+                    await scheduleReminders(
+                        { upload_request_id: id, accession_id, deadline, params: msg.params },
+                        reminderSchedule(new Date(), deadline)
+                    ).catch(logUtils.logError('scheduling reminders failed', {}, messageLog(msg)));
+                }
+                break;
+            // a new version replaces the reminders of the last one
+            case events.transfers.UPLOAD_REQUESTED:
+            case events.transfers.DOWNLOAD_SUCCESS:
+                await cancelReminders({ upload_request_id: id }).catch(logUtils.logError('cancelling reminders failed', {}, messageLog(msg)));
+                break;
+        }
     },
     'reminder'
 );
 
+// Sends the reminders that are due, every time it ticks
+// Each reminder is claimed before it is mailed, so that it can't be sent twice, even by another instance of the app
 const timer = spawn(
     system,
-    async (msg, ctx={}) => {
-
+    async (state = { last_tick: null, sent: 0 }, msg, ctx) => {
+        if (msg.type !== 'TICK') {
+            return state;
+        }
+        const now = new Date();
+        let sent = 0;
+        try {
+            const due = await dueReminders(now);
+            for (const dueReminder of due) {
+                if (await claimReminder(dueReminder)) {
+                    dispatch(mailer, {
+                        status: events.transfers.DOWNLOAD_REMINDER,
+                        params: { ...dueReminder.params, n: daysLeft(dueReminder.deadline, now) },
+                    });
+                    sent++;
+                }
+            }
+        } catch (error) {
+            logUtils.logger.error('sending reminders failed', { error });
+        }
+        return { last_tick: now, sent: state.sent + sent };
     },
     'timer'
 )
 
+// start ticking the timer, once the database is ready
+function startReminders() {
+    const { check_every } = reminderOptions();
+    dispatch(timer, { type: 'TICK' });
+    return setInterval(() => dispatch(timer, { type: 'TICK' }), check_every * 1000);
+}
+
+// Sends the emails of the outbox that are due, every time it ticks (see outboxUtils)
+// Each email is claimed before it is sent, so that it can't be sent twice, even by another instance of the app
+const courier = spawn(
+    system,
+    async (state = { last_tick: null, sent: 0, failed: 0 }, msg, ctx) => {
+        if (msg.type !== 'TICK') {
+            return state;
+        }
+        const now = new Date();
+        let sent = 0;
+        let failed = 0;
+        try {
+            const due = await dueEmails(now, stuckBefore(now));
+            for (const dueEmail of due) {
+                if (!(await claimEmail(dueEmail))) {
+                    continue;
+                }
+                // trying again wouldn't fill its template (say, after an administrator resent it)
+                if (unsendable(dueEmail.options) !== null) {
+                    await markEmailFailed(dueEmail, unsendable(dueEmail.options), null);
+                    failed++;
+                    continue;
+                }
+                try {
+                    const info = await sendEmail(dueEmail.options, msg.transporter);
+                    await markEmailSent(dueEmail, info.messageId);
+                    sent++;
+                } catch (error) {
+                    logUtils.logger.warn('sending email failed', { email_id: dueEmail.id, event: dueEmail.event, accession_id: dueEmail.accession_id, attempts: dueEmail.attempts + 1, error });
+                    await markEmailFailed(dueEmail, error, nextAttemptAt(dueEmail.attempts + 1, now));
+                    failed++;
+                }
+            }
+        } catch (error) {
+            logUtils.logger.error('sending the outbox failed', { error });
+        }
+        return { last_tick: now, sent: state.sent + sent, failed: state.failed + failed };
+    },
+    'courier'
+)
+
+// start sending the outbox with the transporter of the app, once the database is ready
+function startOutbox(transporter) {
+    const { check_every } = outboxOptions();
+    dispatch(courier, { type: 'TICK', transporter });
+    return setInterval(() => dispatch(courier, { type: 'TICK', transporter }), check_every * 1000);
+}
+
+// Sends the digests that are due, every time it ticks (see digestUtils)
+// Each digest is claimed before it is sent, so that it can't be sent twice, even by another instance of the app
+const digester = spawn(
+    system,
+    async (state = { last_tick: null, sent: 0 }, msg, ctx) => {
+        if (msg.type !== 'TICK') {
+            return state;
+        }
+        const now = new Date();
+        let sent = 0;
+        try {
+            for (const { setting, since } of await pendingDigests()) {
+                if (!isDigestDue(setting, since, now) || !(await claimDigest(setting, now))) {
+                    continue;
+                }
+                const user = await userExists({ id: setting.user_id });
+                const taken = await takeDigestItems(setting.user_id, now);
+                if (!user || !user.email) {
+                    continue;
+                }
+                // what's waiting, and the stage changes and deadlines of every dataset the user is told about
+                // datasets the user can't see (anymore) are left out, with their events
+                const followed = (await followedDatasets(user)).filter(dataset => canSeeDataset(user, dataset));
+                const unseen = (await allDatasets({ where: { accession_id: taken.map(item => item.accession_id) } }))
+                    .filter(dataset => !canSeeDataset(user, dataset))
+                    .map(dataset => dataset.accession_id);
+                const items = taken.filter(item => !unseen.includes(item.accession_id));
+                const accessions = [...new Set([
+                    ...items.map(item => item.accession_id),
+                    ...followed.map(dataset => dataset.accession_id),
+                ])].filter(accession_id => !!accession_id);
+                const period = setting.last_sent_at || since;
+                let deadlines = {};
+                for (const accession_id of accessions) {
+                    const uploadRequest = await getDatasetUploadRequest({ accession_id });
+                    if (!!uploadRequest && !!uploadRequest.deadline) {
+                        deadlines[accession_id] = uploadRequest.deadline;
+                    }
+                }
+                const transitions = await stageTransitionsBetween(accessions, period, now);
+                const names = Object.fromEntries(followed.map(dataset => [dataset.accession_id, dataset.name]));
+                const summary = digestSummary({ items, transitions, deadlines, names }, now);
+                if (summary === '') {
+                    continue;
+                }
+                const emailOptions = writeEmailOptions(events.notifications.DIGEST, {
+                    name: user.name,
+                    period: setting.frequency.toLowerCase(),
+                    since: period,
+                    count: items.length,
+                    summary,
+                }, [user.email]);
+                await queueEmail(emailOptions, { event: events.notifications.DIGEST });
+                sent++;
+            }
+        } catch (error) {
+            logUtils.logger.error('sending digests failed', { error });
+        }
+        return { last_tick: now, sent: state.sent + sent };
+    },
+    'digester'
+)
+
+function startDigests() {
+    const { check_every } = digestOptions();
+    dispatch(digester, { type: 'TICK' });
+    return setInterval(() => dispatch(digester, { type: 'TICK' }), check_every * 1000);
+}
+
+// Lifts the embargoes that have ended, every time it ticks (see embargoUtils)
+// Each embargo is claimed before it is announced, so that it can't be announced twice, even by another instance of the app
+// Embargoes that ended before the job last ran are lifted quietly (see embargoUtils)
+const embargoer = spawn(
+    system,
+    async (state = { last_tick: null, lifted: 0 }, msg, ctx) => {
+        if (msg.type !== 'TICK') {
+            return state;
+        }
+        const now = new Date();
+        let lifted = 0;
+        try {
+            const since = announceSince(state.last_tick, await lastEmbargoLift(), now);
+            for (const dataset of await dueEmbargoes(now)) {
+                if (!(await liftEmbargo(dataset, now))) {
+                    continue;
+                }
+                const announced = new Date(dataset.embargo_date) > since;
+                await audit({}, {
+                    action: auditActions.EMBARGO_LIFTED,
+                    target_type: auditTargets.DATASET,
+                    target_id: dataset.id,
+                    accession_id: dataset.accession_id,
+                    before: { embargo_date: dataset.embargo_date },
+                    after: { embargo_lifted_at: now, announced },
+                });
+                lifted++;
+                if (!announced) {
+                    continue;
+                }
+                const message = {
+                    status: events.datasets.EMBARGO_LIFTED,
+                    params: { ...dataset.toJSON(), dataset_id: dataset.id, embargo_lifted_at: now },
+                };
+                dispatch(logger, message);
+                dispatch(mailer, message);
+            }
+        } catch (error) {
+            logUtils.logger.error('lifting embargoes failed', { error });
+            // the embargoes it didn't get to are still news the next time
+            return { ...state, lifted: state.lifted + lifted };
+        }
+        return { last_tick: now, lifted: state.lifted + lifted };
+    },
+    'embargoer'
+)
+
+function startEmbargoes() {
+    const { check_every } = embargoOptions();
+    dispatch(embargoer, { type: 'TICK' });
+    return setInterval(() => dispatch(embargoer, { type: 'TICK' }), check_every * 1000);
+}
+
+// Transfer providers (see transferUtils) report their sessions to the broker
+// Providers that can't call us back are polled for what happened since
+function startTransfers(provider, { poll_every } = transferOptions()) {
+    provider.subscribe(message => {
+        if (!!message.status) {
+            dispatch(broker, { status: message.status, params: { ...message.params, ...message.details } });
+        } else {
+            dispatch(logger, message);
+        }
+    });
+    const poll = () => provider.poll().catch(logUtils.logError('polling transfers failed', { provider: provider.name }));
+    poll();
+    return setInterval(poll, poll_every * 1000);
+}
+
 const broker = spawnStateless(
     system,
     async (msg, ctx) => {
-        
-        // console.log(`Hello from broker with ${msg.status}`)
         // put -> create or update a dataset upload request with new state change
-        await putDatasetUploadRequestStatusChange(msg.status, msg.params).catch(console.error);
+        await putDatasetUploadRequestStatusChange(msg.status, msg.params)
+            .catch(logUtils.logError('status change failed', {}, messageLog(msg)));
         // get the resulting dataset request that fulfilled the params provided
         const datasetUploadRequest = await getDatasetUploadRequest(msg.params);
+        if (datasetUploadRequest === null) {
+            messageLog(msg).error('no upload request', { params: msg.params });
+            if (!!ctx.sender) dispatch(ctx.sender, null);
+            return null;
+        }
 
         // override params with the full version (populated with schema defaults if necessary)
-        const fullUploadRequestMessage = { ...msg, params: datasetUploadRequest.toJSON() };
+        // what the email templates say about the dataset and its files is given alongside (see `transferParams`)
+        const uploadRequest = datasetUploadRequest.toJSON();
+        const files = await fileUploadTotals(uploadRequest.dataset.accession_id)
+            .catch(logUtils.logError('counting uploaded files failed', {}, messageLog(msg)));
+        const fullUploadRequestMessage = {
+            ...msg,
+            params: transferParams(msg.params, uploadRequest, files || undefined),
+        };
         // broadcast to notifier actors
         // TODO: broadcast to actor hierarchy to encapsulate both messaging styles?
         dispatch(logger, fullUploadRequestMessage);
         dispatch(mailer, fullUploadRequestMessage);
 
         // setup a reminder service with the state within "deadline"
-        // dispatcher(reminder, fullUploadRequestMessage)
+        dispatch(reminder, fullUploadRequestMessage);
 
         // return the foreign key of the datasetUploadRequest being toyed with
+        // (also to whoever queried the broker, see `query` in nact)
+        if (!!ctx.sender) dispatch(ctx.sender, datasetUploadRequest.get('id'));
         return datasetUploadRequest.get('id');
 
     },
     'broker'
 );
 
-(async function main() {
-    await initDB();
-    dispatch(broker, { 
-        status: events.transfers.UPLOAD_REQUESTED, 
-        params: {
-            name: 'T2D',
-            author: 'Arthur',
-        } 
-    });
+// run as a script to exercise the broker by hand
+if (require.main === module) {
+    (async function main() {
+        await initDB();
+        dispatch(broker, { 
+            status: events.transfers.UPLOAD_REQUESTED, 
+            params: {
+                accession_id: 'T2D',
+                author: 'Arthur',
+            } 
+        });
 
-    dispatch(broker, { 
-        status: events.transfers.UPLOAD_START, 
-        params: {
-            name: 'T2D',
-        } 
-    });
-})()
+        dispatch(broker, { 
+            status: events.transfers.UPLOAD_START, 
+            params: {
+                accession_id: 'T2D',
+            } 
+        });
+    })()
+}
 
+module.exports = {
+    system,
+    broker,
+    startReminders,
+    startTransfers,
+    startOutbox,
+    startDigests,
+    startEmbargoes,
+}
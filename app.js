@@ -5,6 +5,35 @@ const loadedConfig = config.loadConfig();
 const model = require("./src/utils/modelUtils");
 const aggregations = require("./src/utils/aggregations");
 
+// actors
+const { dispatch, query } = require("nact");
+const { broker, startReminders, startTransfers, startOutbox, startDigests, startEmbargoes } = require("./actors");
+const { events } = require("./src/events");
+
+// lifecycle
+const { lifecycle } = require("./src/lifecycle");
+const lifecycleUtils = require("./src/utils/lifecycleUtils");
+const embargoUtils = require("./src/utils/embargoUtils");
+const accessionUtils = require("./src/utils/accessionUtils");
+const searchUtils = require("./src/utils/searchUtils");
+const exportUtils = require("./src/utils/exportUtils");
+const revisionUtils = require("./src/utils/revisionUtils");
+
+// uploads
+const uploadUtils = require("./src/utils/uploadUtils");
+const transferUtils = require("./src/utils/transferUtils");
+const templateUtils = require("./src/utils/templateUtils");
+const { logger, logError, requestId, asyncRoute, errorHandler } = require("./src/utils/logUtils");
+const { audit, auditActions, auditTargets, auditColumns, auditFilters } = require("./src/utils/auditUtils");
+const csvUtils = require("./src/utils/csvUtils");
+
+// CSRF
+const csrfUtils = require("./src/utils/csrfUtils");
+
+// authorization
+const { roles } = require("./src/roles");
+const policyUtils = require("./src/utils/policyUtils");
+
 // authentication
 const authUtils = require("./src/utils/authUtils");
 const passport = require("passport");
@@ -26,10 +55,17 @@ const express = require("express");
 
 const app = express();
 
+// see the `transfers` block of the configuration
+const transferProvider = transferUtils.makeTransferProvider();
+
 // middleware
+// every request gets an ID, for its log entries and the messages it causes (see logUtils)
+app.use(requestId);
 // request data parsing middleware
 app.use(require('cookie-parser')());
 app.use(require('body-parser').urlencoded({ extended: true }));
+// JSON bodies are parsed per route, for the endpoints that take them
+const jsonParser = require('body-parser').json();
 
 // authentication middleware
 app.use(require('express-session')({
@@ -39,6 +75,10 @@ app.use(require('express-session')({
 }));
 app.use(passport.initialize());
 app.use(passport.session());
+// scripts can use personal API tokens instead of a session
+app.use(policyUtils.authenticateBearer);
+// every state changing request from a page has to carry the CSRF token of its session
+app.use(csrfUtils.csrfProtection);
 
 // used by authentication middleware to render status messages on events
 // TODO: needs testing
@@ -60,7 +100,14 @@ const localStrategyImpl = new LocalStrategy(
                 return done('nouser', false, { message: 'Incorrect username.' });
             }
             const userModel = user.dataValues;
+            // accounts made through google have no password
+            if (!userModel.password_hash) {
+                return done('nopassword', false, { message: 'Incorrect password.' });
+            }
             if (authUtils.validatePassword(password, userModel.password_salt, userModel.hash_function)(userModel.password_hash)) {
+                if (!userModel.confirmed) {
+                    return done('unconfirmed', false, { message: 'Account not confirmed.' });
+                }
                 return done(null, userModel);
             } else {
                 return done('nopassword', false, { message: 'Incorrect password.' });
@@ -72,17 +119,32 @@ const localStrategyImpl = new LocalStrategy(
 
 // TODO: external account login verification
 
-// TODO: google login
+// google login
+// only verified emails are used to link accounts, or to check against the allowed domains
 const googleStrategyImpl = new GoogleStrategy({
         clientID: loadedConfig.auth.google.clientId,
         clientSecret: loadedConfig.auth.google.secretId,
-        // callbackURL: `http://${loadedConfig.auth.google.callbackHost}`
+        callbackURL: `https://${loadedConfig.auth.google.callbackHost}/do/user/login/google/callback`,
     },
-    function(accessToken, refreshToken, profile, cb) {
-        // console.log(profile)
-        // User.findOrCreate({ googleId: profile.id }, function (err, user) {
-        //     return cb(err, user);
-        // });
+    async function(accessToken, refreshToken, profile, cb) {
+        try {
+            const verifiedEmail = (profile.emails || [])
+                .filter(email => email.verified === true || email.verified === 'true')
+                .map(email => email.value)[0];
+            const allowedDomains = loadedConfig.auth.google.allowed_domains || [];
+            const domain = !!verifiedEmail ? verifiedEmail.split('@').pop().toLowerCase() : null;
+            if (allowedDomains.length > 0 && !allowedDomains.map(allowed => allowed.toLowerCase()).includes(domain)) {
+                return cb(null, false, { message: 'Email domain not allowed.' });
+            }
+            const user = await model.findOrCreateGoogleUser({
+                googleId: profile.id,
+                email: verifiedEmail,
+                name: profile.displayName,
+            });
+            return cb(null, user);
+        } catch (error) {
+            return cb(error);
+        }
     }
 )
 
@@ -142,14 +204,15 @@ try {
                 // Preview URL: https://ethereal.email/message/WaQKMgKddxQDoou...
 
             } else {
+                // a local SMTP stand-in (like MailHog) needs no `auth`
                 mail_transporter = nodemailer.createTransport({
                     host: emailConfig.host,
                     port: emailConfig.port,
                     secure: emailConfig.secure,
-                    auth: {
+                    auth: !!emailConfig.auth ? {
                         user: emailConfig.auth.user, // generated ethereal user
                         pass: emailConfig.auth.pass, // generated ethereal password
-                    },
+                    } : undefined,
                 });
 
                 // TODO: test with dummy email? (signalling current deployment)
@@ -179,11 +242,12 @@ try {
 
             if (!!username && !!password) {
 
-                let test_user = await model.registerUser({ username, password, name, email, role, organization });
+                // the test user doesn't need to confirm their account
+                let test_user = await model.registerUser({ username, password, name, email, role, organization, confirmed: true });
                 if (test_user) {
-                    console.log(username, 'initialized')
+                    logger.info('test user initialized', { username })
                 } else {
-                    console.log(username, 'already exists')
+                    logger.info('test user already exists', { username })
                 }
 
                 if (test_user === null) {
@@ -211,26 +275,41 @@ try {
             app.get('/upload', (_, res) => res.redirect('/uploader.html'));
             app.get('/download', (_, res) => res.redirect('/downloader.html'));
 
+            // pages ask for the CSRF token of their session (see src/pages/csrf.js)
+            app.get('/do/csrf', (req, res) => {
+                res.send({ token: csrfUtils.csrfToken(req) });
+            });
+
             // test endpoints
             // used when modeling the logic of client functions or redirect functions
             // before their content is decided upon
             app.get('/test/success', (req, res) => {
-                console.log('success')
+                req.log.info('success')
                 res.send('/')
             })
             app.get('/test/fail', (req, res) => {
-                console.error('error')
+                req.log.error('error')
                 res.send(500)
             });
 
 
+            const makeConfirmLink = async user => {
+                const token = await model.issueUserToken(user, authUtils.tokenPurposes.CONFIRM, loadedConfig.auth.confirmation.expires_in);
+                return `https://${loadedConfig.domain.host}/do/user/confirm?token=${encodeURIComponent(token)}`;
+            }
+
             // the controllers are defined in the 'initialize controllers' function.
             // initializeControllers(app);
-            // TODO: CSRF    
             app.post('/do/user/login', function(req, res, next) {
                 if (req.body.action === 'Login') {
-                    passport.authenticate('local', function(err, user, info) {
+                    passport.authenticate('local', async function(err, user, info) {
                         if (err || !user) {
+                            await audit(req, {
+                                action: auditActions.LOGIN_FAILED,
+                                target_type: auditTargets.USER,
+                                after: { username: req.body.username, reason: typeof err === 'string' ? err : 'error' },
+                                user: null,
+                            });
                             // TODO: refactor to enum
                             if (err === 'nouser') {
                                 // TODO: populate form with defaults?
@@ -244,13 +323,17 @@ try {
                                 // username exists => password is wrong
                                 // username does not exist => register (or prompt register)
                                 return res.redirect('/index.html');
+                            } else if (err === 'unconfirmed') {
+                                // the login page offers to send the confirmation email again
+                                return res.redirect('/index.html?unconfirmed=true');
                             }
                             return next(err)
                         }
-                        req.logIn(user, function(err) {
+                        req.logIn(user, async function(err) {
                             if (err) {
                                 return next(err);
                             }
+                            await audit(req, { action: auditActions.LOGIN, target_type: auditTargets.USER, target_id: user.id, after: { method: 'local' } });
                             return res.redirect('/datasets.html?user=' + user.id);
                         });
                     })(req, res, next)
@@ -259,149 +342,766 @@ try {
                 }
             });
 
-            // TODO: CSRF
-            app.post('/do/user/login/google', passport.authenticate('google', { scope: ['profile'] }));
+            app.post('/do/user/login/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
+
+            // google sends the user back here after they sign in
+            app.get('/do/user/login/google/callback',
+                passport.authenticate('google', { failureRedirect: '/index.html?google=false' }),
+                asyncRoute(async (req, res) => {
+                    await audit(req, { action: auditActions.LOGIN, target_type: auditTargets.USER, target_id: req.user.id, after: { method: 'google' } });
+                    res.redirect('/datasets.html?user=' + req.user.id);
+                })
+            );
 
             // DONE
             // except... sending encrypted password over wire on clientside
-            app.post('/do/user/register', async(req, res) => {
-                const { username, password, email, role, name, organization } = req.body;
+            app.post('/do/user/register', asyncRoute(async(req, res) => {
+                // only uploaders can register themselves; other roles are given by administrators
+                const { username, password, email, name, organization } = req.body;
+                const role = roles.UPLOADER;
                 const user = await model.registerUser({ username, password, name, email, role, organization });
                 if (user !== null) {
 
-                    // TODO: generate registration token & confirm link
-                    const confirmation_token = '';
-                    const confirm_link = `${loadedConfig.domain.host}/do/user/confirm?token=${confirmation_token}`;
-
-                    // emailUtils.sendEmail(emailUtils.writeEmailOptions('REGISTERED', {
-                    //     name,
-                    //     username,
-                    //     // the parser can't handle keys with underscores
-                    //     confirmlink: confirm_link,
-                    // }), context.mail_transporter);
+                    await audit(req, {
+                        action: auditActions.USER_REGISTERED,
+                        target_type: auditTargets.USER,
+                        target_id: user.id,
+                        after: { username, email, name, organization, role },
+                        user,
+                    });
 
-                    emailUtils.sendRegisterConfirmationEmail({
+                    const confirm_link = await makeConfirmLink(user);
+                    const params = {
                         name,
                         username,
-                        confirmlink: confirm_link, // the parser can't handle keys with underscores
-                    }, context.mail_transporter)
+                        confirmlink: confirm_link,
+                    };
+
+                    emailUtils.sendRegisteredEmail(params, user.email)
+                        .catch(logError('registered email failed', {}, req.log));
+                    emailUtils.sendRegisterConfirmationEmail(params)
+                        .catch(logError('registration confirmation email failed', {}, req.log));
 
-                    return res.redirect('/');
+                    return res.redirect('/index.html?registered=true');
 
                 } else {
 
                     return res.send(304);
 
                 }
-            });
+            }));
 
-            app.post('/do/user/confirm', async(req, res) => {
-                const confirm = null;
-                if (confirm !== null) {
-                    return res.send(200)
+            // the link in the REGISTERED email
+            app.get('/do/user/confirm', asyncRoute(async(req, res) => {
+                const user = await model.consumeUserToken(req.query.token, authUtils.tokenPurposes.CONFIRM);
+                if (user !== null) {
+                    await model.confirmUser(user);
+                    await audit(req, { action: auditActions.USER_CONFIRMED, target_type: auditTargets.USER, target_id: user.id, user });
+                    return res.redirect('/index.html?confirmed=true');
                 } else {
-                    return res.send(304)
+                    return res.redirect('/index.html?confirmed=false');
                 }
-            });
+            }));
+
+            app.post('/do/user/confirm', asyncRoute(async(req, res) => {
+                const user = await model.consumeUserToken(req.body.token, authUtils.tokenPurposes.CONFIRM);
+                if (user !== null) {
+                    await model.confirmUser(user);
+                    await audit(req, { action: auditActions.USER_CONFIRMED, target_type: auditTargets.USER, target_id: user.id, user });
+                    return res.sendStatus(200);
+                } else {
+                    return res.sendStatus(400);
+                }
+            }));
+
+            // send a fresh confirmation link, replacing any sent before, unless one was sent too recently (see `authUtils.resendEvery`)
+            // always answers the same way, so that it can't be used to find out which usernames exist
+            app.post('/do/user/confirm/resend', asyncRoute(async(req, res) => {
+                const user = await model.userExists({ username: `${req.body.username || ''}` });
+                const purpose = authUtils.tokenPurposes.CONFIRM;
+                const sendable = !!user && !user.confirmed && !!user.email;
+                if (sendable && !authUtils.mayResendToken(purpose, await model.lastUserTokenIssuedAt(user.id, purpose))) {
+                    req.log.info('confirmation link not resent, one was sent too recently', { user_id: user.id });
+                } else if (sendable) {
+                    await model.invalidateUserTokens(user.id, purpose);
+                    const confirm_link = await makeConfirmLink(user);
+                    emailUtils.sendRegisteredEmail({
+                        name: user.name,
+                        username: user.username,
+                        confirmlink: confirm_link,
+                    }, user.email)
+                        .catch(logError('registered email failed', {}, req.log));
+                }
+                return res.redirect('/index.html?resent=true');
+            }));
+
+            // ask for a link to reset a password, by username or email, unless one was sent too recently (see `authUtils.resendEvery`)
+            // always answers the same way, so that it can't be used to find out which accounts exist
+            app.post('/do/user/password/forgot', asyncRoute(async(req, res) => {
+                const { username, email } = req.body;
+                const user = !!username ? await model.userExists({ username: `${username}` })
+                    : !!email ? await model.userExists({ email: `${email}` })
+                    : null;
+                const purpose = authUtils.tokenPurposes.PASSWORD_RESET;
+                const sendable = !!user && !!user.email;
+                if (sendable && !authUtils.mayResendToken(purpose, await model.lastUserTokenIssuedAt(user.id, purpose))) {
+                    req.log.info('password reset link not sent, one was sent too recently', { user_id: user.id });
+                } else if (sendable) {
+                    const token = await model.issueUserToken(user, purpose, loadedConfig.auth.password_reset.expires_in);
+                    emailUtils.sendPasswordResetEmail({
+                        name: user.name,
+                        username: user.username,
+                        resetlink: `https://${loadedConfig.domain.host}/reset.html?token=${encodeURIComponent(token)}`,
+                    }, user.email)
+                        .catch(logError('password reset email failed', {}, req.log));
+                }
+                return res.redirect('/forgot.html?sent=true');
+            }));
+
+            app.post('/do/user/password/reset', asyncRoute(async(req, res) => {
+                const { token, password } = req.body;
+                if (!password) {
+                    return res.redirect(`/reset.html?token=${encodeURIComponent(token || '')}`);
+                }
+                const user = await model.consumeUserToken(token, authUtils.tokenPurposes.PASSWORD_RESET);
+                if (user !== null) {
+                    await model.changePassword(user, password);
+                    await audit(req, { action: auditActions.PASSWORD_RESET, target_type: auditTargets.USER, target_id: user.id, user });
+                    return res.redirect('/index.html?reset=true');
+                } else {
+                    return res.redirect('/reset.html?invalid=true');
+                }
+            }));
+
+            // personal API tokens
+            // the token is only shown once, in the answer to issuing it
+            app.post('/do/user/tokens', policyUtils.requireSession, jsonParser, asyncRoute(async(req, res) => {
+                const { name } = req.body;
+                const scopes = Array.isArray(req.body.scopes) ? req.body.scopes : `${req.body.scopes || ''}`.split(' ').filter(scope => !!scope);
+                // tokens last no longer than the configuration allows
+                const expires_in = Math.min(Number(req.body.expires_in || loadedConfig.auth.jwt.expires_in), loadedConfig.auth.jwt.expires_in);
+                if (scopes.length === 0 || !scopes.every(scope => Object.values(authUtils.apiScopes).includes(scope))) {
+                    return res.status(400).send({ error: 'unknown scopes', scopes: Object.values(authUtils.apiScopes) });
+                }
+                if (scopes.includes(authUtils.apiScopes.ADMIN) && !policyUtils.isAdmin(req.user)) {
+                    return res.sendStatus(403);
+                }
+                if (!Number.isInteger(expires_in) || expires_in <= 0) {
+                    return res.sendStatus(400);
+                }
+                const { apiToken, token } = await model.issueApiToken(req.user, { name, scopes, expires_in });
+                await audit(req, {
+                    action: auditActions.API_TOKEN_ISSUED,
+                    target_type: auditTargets.API_TOKEN,
+                    target_id: apiToken.id,
+                    after: { name: apiToken.name, scopes, expires_at: apiToken.expires_at },
+                });
+                res.send({
+                    id: apiToken.id,
+                    name: apiToken.name,
+                    scopes,
+                    expires_at: apiToken.expires_at,
+                    token,
+                });
+            }));
 
-            // TODO: CSRF/JWT
-            app.post('/do/datasets/register', async(req, res) => {
-                const string = new String(name)
-                    .substr(0, len)
-                    .replace(/[.,\/#!$%\^&\*;:{}=\-`~()]/g, "") // remove all common punctuation characters except for underscore
-                    .replace(/ /g, '_')
-                    .toUpperCase()
-                    // This will return in one line
-                const makeAccessionId = (name, len = 25) => `${string}_${ authUtils.shakeSalt(3) }`;
-                const accession_id = makeAccessionId(req.body.name);
+            app.get('/do/user/tokens', policyUtils.requireSession, asyncRoute(async(req, res) => {
+                const tokens = await model.allApiTokens(req.user.id);
+                res.send(tokens);
+            }));
+
+            app.delete('/do/user/tokens/:tokenId', policyUtils.requireSession, asyncRoute(async(req, res) => {
+                const revoked = await model.revokeApiToken(req.user.id, req.params.tokenId);
+                if (revoked) {
+                    await audit(req, { action: auditActions.API_TOKEN_REVOKED, target_type: auditTargets.API_TOKEN, target_id: req.params.tokenId });
+                }
+                res.sendStatus(revoked ? 204 : 404);
+            }));
+
+            // the accession of the dataset is issued by the model (see accessionUtils); any given with it is ignored
+            app.post('/do/datasets/register', policyUtils.requireScope(authUtils.apiScopes.WRITE_DATASETS), asyncRoute(async(req, res) => {
                 const dataset = await model.registerDataset({
-                    accession_id,
-                    ...req.body
+                    ...req.body,
+                    user_id: req.user.id, // datasets belong to whoever registers them
+                }).catch(error => {
+                    req.log.error('registering dataset failed', { error });
+                    return null;
                 });
                 if (dataset) {
+                    const accession_id = dataset.accession_id;
+                    await audit(req, {
+                        action: auditActions.DATASET_REGISTERED,
+                        target_type: auditTargets.DATASET,
+                        target_id: dataset.id,
+                        accession_id,
+                        after: dataset.toJSON(),
+                    });
                     return res.redirect('/accession.html?accession_id=' + accession_id)
                 } else {
                     return res.send(500);
                 }
-            });
+            }));
+
+            // look an accession up, as it was typed: a wrong check character is told apart from an unknown accession
+            // datasets registered before accessions were issued are found too, though their accessions aren't valid
+            app.get('/do/accessions/:accession', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
+                const parsed = accessionUtils.parseAccession(req.params.accession);
+                const accession_id = parsed.valid ? parsed.accession : req.params.accession;
+                const dataset = await model.datasetExists({ accession_id });
+                if (!dataset || !policyUtils.canSeeDataset(req.user, dataset)) {
+                    return parsed.valid ? res.sendStatus(404) : res.status(400).send({ accession_id, valid: false, error: parsed.error });
+                }
+                res.send({
+                    accession_id,
+                    valid: parsed.valid,
+                    dataset: model.helpers.excludeInternalProperties(dataset.toJSON()),
+                });
+            }));
 
             // TODO: gets datasets => post or query params?
-            // TODO: CSRF
-            app.get('/datasets/:userId', async(req, res) => {
-                // TODO: check if logged in user === userId!
-                // else unless the role is admin or the dataset is public, don't show
-                const datasets = await model.allDatasets({ user_id: req.params.userId });
+            app.get('/datasets/:userId', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), policyUtils.requireSelfOrAdmin(), asyncRoute(async(req, res) => {
+                const datasets = await model.allDatasets({ where: { user_id: req.params.userId } });
                 if (datasets) {
                     res.send(datasets)
                 } else {
                     res.send(404)
                 }
-            });
+            }));
 
-            app.get('/datasets/:userId/all', async(req, res) => {
-                // TODO: check if logged in user === userId!
-                // else unless the role is admin or the dataset is public, don't show
+            app.get('/datasets/:userId/all', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), policyUtils.requireSelfOrAdmin(), asyncRoute(async(req, res) => {
                 const user = await model.userExists({ id: req.params.userId })
                 if (user) {
-                    const datasets = await aggregation.DatasetEntryAggregation.collect({
-                        user_id: req.params.userId,
-                        // organization: results.dataValues.organization
+                    const results = await aggregations.DatasetEntryAggregation.collect({
+                        where: {
+                            user_id: req.params.userId,
+                            // organization: results.dataValues.organization
+                        }
                     });
-                    if (datasets) {
-                        res.send(datasets)
+                    if (results) {
+                        res.send({
+                            datasets: aggregations.Aggregation.items(results)
+                                .filter(dataset => policyUtils.canSeeDataset(req.user, dataset)),
+                            sources: aggregations.Aggregation.sources(results),
+                        })
                     } else {
                         res.send(404)
                     }
                 } else {
                     res.send(403)
                 }
-            });
-
-            // TODO: use querystrings to find arbitrary datasets?
-            // ensure session is used to check if authenticated and compatible with role
-            // TODO: CSRF
-            app.post('/do/query/datasets', async(req, res) => {
+            }));
+
+            // search the datasets the user may see (see searchUtils for the parameters; internal users have a few more)
+            // `total` counts the datasets the user may see, `matched` those found; follow `next_cursor` for the next page
+            app.get('/do/datasets/search', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
+                let search = null;
+                try {
+                    search = searchUtils.parseSearch(req.query, { internal: policyUtils.isAdmin(req.user) });
+                } catch (error) {
+                    return res.status(400).send({ error: error.message });
+                }
+                const { datasets, ...found } = await model.searchDatasets(search, policyUtils.visibleDatasetsWhere(req.user), req.user);
+                res.send({
+                    ...found,
+                    limit: search.limit,
+                    offset: search.after === null ? search.offset : null,
+                    datasets: datasets.map(model.helpers.excludeInternalProperties),
+                });
+            }));
+
+            // export the datasets of a search, and those of the other datasources, as `?format=csv|tsv|jsonl|xlsx`
+            // users choose their columns (`?columns=datasource,name`) from those they're shown; internal users are also shown the
+            // internal properties they can search on (see `searchUtils.internalFields`)
+            // paging parameters are ignored, everything is exported
+            const exportColumns = ['datasource', ...Object.entries(model.helpers.excludeInternalProperties(
+                Object.fromEntries(Object.keys(model.schemas.datasetSchema).map(property => [property, null]))
+            )).filter(([, value]) => value !== undefined).map(([property]) => property)];
+            const internalExportColumns = [...new Set([...searchUtils.internalFields.filterable, ...searchUtils.internalFields.sortable])];
+            const exportColumnsFor = user => policyUtils.isAdmin(user) ? [...exportColumns, ...internalExportColumns] : exportColumns;
+            app.get('/do/datasets/export', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
+                const { format = 'csv', columns, limit, offset, cursor, ...query } = req.query;
+                const exportFormat = exportUtils.exportFormats[format];
+                if (!exportFormat) {
+                    return res.status(400).send({ error: `cannot export as ${format}`, formats: Object.keys(exportUtils.exportFormats) });
+                }
+                let search = null;
+                let chosenColumns = null;
+                try {
+                    search = searchUtils.parseSearch(query, { internal: policyUtils.isAdmin(req.user) });
+                    chosenColumns = exportUtils.chooseColumns(exportColumnsFor(req.user), columns);
+                } catch (error) {
+                    return res.status(400).send({ error: error.message, columns: exportColumnsFor(req.user) });
+                }
+                // other datasources can't be paged through, so they're collected before anything is written
+                // they only filter on exact values, so the search is matched here instead (see `searchUtils.matchesSearch`)
+                const results = await aggregations.DatasetEntryAggregation.collect({ where: {} });
+
+                res.type(exportFormat.type);
+                res.attachment(`datasets-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`);
+                // each row waits for the client to take the rows before it
+                // only the chosen columns are written, and they can only be those the user is shown
+                const writeRow = (writer, datasource, dataset) => writer.row(
+                    chosenColumns.map(column => column === 'datasource' ? datasource : dataset[column])
+                );
+                try {
+                    const writer = await exportFormat.open(res, chosenColumns);
+                    for await (const datasets of model.searchDatasetBatches(search, policyUtils.visibleDatasetsWhere(req.user), req.user)) {
+                        for (const dataset of datasets) {
+                            await writeRow(writer, exportUtils.localDatasource, dataset);
+                        }
+                        if (res.destroyed) {
+                            return;
+                        }
+                    }
+                    const sources = aggregations.Aggregation.sources(results);
+                    for (const [index, { items }] of results.entries()) {
+                        const shown = items.filter(dataset => policyUtils.canSeeDataset(req.user, dataset) && searchUtils.matchesSearch(dataset, search, req.user));
+                        for (const dataset of shown) {
+                            await writeRow(writer, sources[index].label, dataset);
+                        }
+                    }
+                    await writer.end();
+                    res.end();
+                } catch (error) {
+                    // the export has begun, so all that can be done is to cut it short
+                    req.log.error('export failed', { error });
+                    res.destroy(error);
+                }
+            }));
+
+            // only fields that can be searched on can be filtered on, by values or lists of values (see `searchUtils.parseFilters`)
+            app.post('/do/query/datasets', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
+                let filters = null;
+                try {
+                    filters = searchUtils.parseFilters(req.body, { internal: policyUtils.isAdmin(req.user) });
+                } catch (error) {
+                    return res.status(400).send({ error: error.message });
+                }
+                // only the datasets the user may see (see policyUtils)
                 const query = {
                     where: {
-                        ...req.body,
-                        visible: 1, // visibility access control? visible datasets only
+                        ...filters,
+                        ...policyUtils.visibleDatasetsWhere(req.user),
                     }
                 }
                 const datasets = await model.allDatasets(query);
-                // TODO: filter by user permissions!
                 if (datasets) {
                     res.send(datasets)
                 } else {
                     res.send(404)
                 }
-            });
-
-            app.post('/do/query/datasets/all', async(req, res) => {
-                console.log(req.body)
-                const query = {
-                    where: {
-                        ...req.body,
-                        visible: 1, // visibility access control? visible datasets only
-                    }
+            }));
+
+            app.post('/do/query/datasets/all', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
+                const internal = policyUtils.isAdmin(req.user);
+                let search = null;
+                try {
+                    // a search with nothing but filters
+                    search = searchUtils.parseSearch(searchUtils.parseFilters(req.body, { internal }), { internal });
+                } catch (error) {
+                    return res.status(400).send({ error: error.message });
                 }
 
-                const datasets = await aggregations.DatasetEntryAggregation.collect(query)
-                    .then(a => a.flatMap(i => i))
-                    // .then(a => { console.log('tap', a); return a; })
-                    .then(a => a.map(model.helpers.excludeInternalProperties))
-                    // .then(a => { console.log('tap', a); return a; });
+                // remote datasources only filter on exact values, so the filters are matched here (see `searchUtils.matchesSearch`)
+                // visibility is decided per dataset, since remote datasources can't be queried with our rules
+                const results = await aggregations.DatasetEntryAggregation.collect({ where: {} });
+                const datasets = aggregations.Aggregation.items(results)
+                    .filter(dataset => policyUtils.canSeeDataset(req.user, dataset) && searchUtils.matchesSearch(dataset, search, req.user))
+                    .map(model.helpers.excludeInternalProperties);
 
-                // TODO: filter by user permissions!
+                // sources are reported alongside the datasets, so that clients can tell when one of them is unavailable
                 if (datasets) {
-                    res.send(datasets)
+                    res.send({
+                        datasets,
+                        sources: aggregations.Aggregation.sources(results),
+                    })
                 } else {
                     res.send(404)
                 }
-            });
+            }));
+
+            // forget cached results of remote datasources, so that they're asked for again on the next query
+            // give `source` to refresh a single datasource
+            app.post('/do/query/datasets/refresh', policyUtils.requireScope(authUtils.apiScopes.WRITE_DATASETS), policyUtils.requireRole(roles.INTERNAL), asyncRoute(async(req, res) => {
+                const refreshed = aggregations.DatasetEntryAggregation.refresh(req.body.source);
+                if (req.body.source !== undefined && refreshed.length === 0) {
+                    return res.sendStatus(404);
+                }
+                res.send({ refreshed });
+            }));
+
+            // dataset lifecycle
+            // the stages, and the moves allowed between them
+            app.get('/do/query/datasets/stages', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
+                res.send(lifecycle);
+            }));
+
+            app.get('/do/datasets/:accession_id/stages', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), policyUtils.requireDataset(policyUtils.canSeeDataset), asyncRoute(async(req, res) => {
+                const dataset = req.dataset;
+                const history = await model.datasetStageHistory(dataset.accession_id);
+                res.send({
+                    accession_id: dataset.accession_id,
+                    stage: dataset.status,
+                    next: lifecycleUtils.nextStages(dataset.status),
+                    history,
+                });
+            }));
+
+            // move a dataset into another stage, as long as the lifecycle allows it
+            // the DCC moves datasets through their stages
+            app.post('/do/datasets/:accession_id/stage', policyUtils.requireScope(authUtils.apiScopes.WRITE_DATASETS), policyUtils.requireRole(roles.INTERNAL), jsonParser, policyUtils.requireDataset(), asyncRoute(async(req, res) => {
+                const { stage, note } = req.body;
+                const dataset = req.dataset;
+                if (!lifecycleUtils.canTransition(dataset.status, stage)) {
+                    return res.status(409).send({
+                        error: `cannot move dataset from ${dataset.status || lifecycle.initial} to ${stage}`,
+                        next: lifecycleUtils.nextStages(dataset.status),
+                    });
+                }
+                const from_stage = dataset.status;
+                const transition = await model.transitionDataset(dataset, stage, req.user.id, note);
+                await audit(req, {
+                    action: auditActions.DATASET_STAGE_CHANGED,
+                    target_type: auditTargets.DATASET,
+                    target_id: dataset.id,
+                    accession_id: dataset.accession_id,
+                    before: { status: from_stage },
+                    after: { status: stage, note },
+                });
+                res.send(transition);
+            }));
+
+            // metadata revisions
+            // every change to the metadata of a dataset is kept, and can be compared to any other, or undone
+            const reviseDataset = async (req, res, values, options = {}) => {
+                const dataset = req.dataset;
+                let revision = null;
+                try {
+                    revision = await model.updateDataset(dataset, values, req.user.id, options);
+                } catch (error) {
+                    req.log.error('updating dataset failed', { accession_id: dataset.accession_id, error });
+                    return res.sendStatus(500);
+                }
+                if (revision === null) {
+                    return res.sendStatus(204);
+                }
+                await audit(req, {
+                    action: auditActions.DATASET_UPDATED,
+                    target_type: auditTargets.DATASET,
+                    target_id: dataset.id,
+                    accession_id: dataset.accession_id,
+                    before: Object.fromEntries(Object.entries(revision.changes).map(([property, { from }]) => [property, from])),
+                    after: Object.fromEntries(Object.entries(revision.changes).map(([property, { to }]) => [property, to])),
+                });
+                res.send(revision);
+            };
+
+            // only the properties given are changed
+            app.post('/do/datasets/:accession_id/update', policyUtils.requireScope(authUtils.apiScopes.WRITE_DATASETS), jsonParser, policyUtils.requireDataset(policyUtils.canEditDataset), asyncRoute(async(req, res) => {
+                const { note, ...given } = req.body;
+                const values = Object.fromEntries(revisionUtils.revisableProperties
+                    .filter(property => given[property] !== undefined)
+                    .map(property => [property, given[property]]));
+                const errors = revisionUtils.invalidValues(values);
+                if (errors.length > 0) {
+                    return res.status(400).send({ errors });
+                }
+                await reviseDataset(req, res, values, { note });
+            }));
+
+            app.get('/do/datasets/:accession_id/revisions', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), policyUtils.requireDataset(policyUtils.canEditDataset), asyncRoute(async(req, res) => {
+                const revisions = await model.datasetRevisions(req.dataset.id);
+                res.send({
+                    accession_id: req.dataset.accession_id,
+                    revisions,
+                });
+            }));
+
+            // ?from=<revision>&to=<revision>; `to` is the latest revision if it isn't given
+            app.get('/do/datasets/:accession_id/revisions/diff', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), policyUtils.requireDataset(policyUtils.canEditDataset), asyncRoute(async(req, res) => {
+                const revisions = await model.datasetRevisions(req.dataset.id);
+                const find = number => revisions.find(revision => revision.revision === Number(number));
+                const from = find(req.query.from);
+                const to = req.query.to !== undefined ? find(req.query.to) : revisions[revisions.length - 1];
+                if (!from || !to) {
+                    return res.sendStatus(404);
+                }
+                res.send({
+                    accession_id: req.dataset.accession_id,
+                    from: from.revision,
+                    to: to.revision,
+                    changes: revisionUtils.diffValues(from.snapshot, to.snapshot),
+                });
+            }));
+
+            // restoring is itself a revision, so it can be undone too
+            app.post('/do/datasets/:accession_id/revisions/:revision/restore', policyUtils.requireScope(authUtils.apiScopes.WRITE_DATASETS), policyUtils.requireDataset(policyUtils.canEditDataset), asyncRoute(async(req, res) => {
+                const revision = await model.datasetRevision(req.dataset.id, Number(req.params.revision));
+                if (!revision) {
+                    return res.sendStatus(404);
+                }
+                await reviseDataset(req, res, revision.snapshot, {
+                    note: `restored revision ${revision.revision}`,
+                    restored_from: revision.revision,
+                });
+            }));
+
+            // upload requests
+            // asking for a dataset to be uploaded (again) makes a new version of it
+            // unless a link to upload to is given, a session is opened with the transfer provider
+            app.post('/do/datasets/:accession_id/uploads/request', policyUtils.requireScope(authUtils.apiScopes.WRITE_DATASETS), policyUtils.requireDataset(policyUtils.canEditDataset), asyncRoute(async(req, res) => {
+                const { author, deadline, link } = req.body;
+                const session = !link ? await transferProvider.createSession({ accession_id: req.dataset.accession_id, deadline })
+                    .catch(logError('transfer session failed', { accession_id: req.dataset.accession_id }, req.log)) : null;
+                if (!link && !session) {
+                    return res.sendStatus(500);
+                }
+                const upload_request_id = await query(broker, {
+                    request_id: req.id,
+                    status: events.transfers.UPLOAD_REQUESTED,
+                    params: {
+                        accession_id: req.dataset.accession_id,
+                        author: author || req.user.name,
+                        deadline: deadline || (!!session ? session.expires_at : undefined),
+                        link: link || session.link,
+                        aspera: !!session ? session.session_id : '',
+                    }
+                }, 10000).catch(logError('upload request failed', { accession_id: req.dataset.accession_id }, req.log));
+                if (!upload_request_id) {
+                    return res.sendStatus(500);
+                }
+                const history = await model.datasetUploadRequestHistory(upload_request_id);
+                await audit(req, {
+                    action: auditActions.UPLOAD_REQUESTED,
+                    target_type: auditTargets.DATASET,
+                    target_id: req.dataset.id,
+                    accession_id: req.dataset.accession_id,
+                    after: { upload_request_id, version: history.length > 0 ? history[history.length - 1].version : null },
+                });
+                res.send({ upload_request_id, history });
+            }));
+
+            app.get('/do/datasets/:accession_id/uploads', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), policyUtils.requireDataset(policyUtils.canSeeDataset), asyncRoute(async(req, res) => {
+                const datasetUploadRequest = await model.getDatasetUploadRequest({ accession_id: req.dataset.accession_id });
+                if (!datasetUploadRequest) {
+                    return res.sendStatus(404);
+                }
+                const { dataset, ...uploadRequest } = datasetUploadRequest.toJSON();
+                const history = await model.datasetUploadRequestHistory(uploadRequest.id);
+                res.send({ ...uploadRequest, history });
+            }));
+
+            // the transfer session of the latest upload request
+            const requireTransferSession = asyncRoute(async (req, res, next) => {
+                const datasetUploadRequest = await model.getDatasetUploadRequest({ accession_id: req.dataset.accession_id });
+                if (!datasetUploadRequest || !datasetUploadRequest.aspera) {
+                    return res.sendStatus(404);
+                }
+                req.session_id = datasetUploadRequest.aspera;
+                next();
+            })
+
+            app.get('/do/datasets/:accession_id/uploads/progress', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), policyUtils.requireDataset(policyUtils.canSeeDataset), requireTransferSession, asyncRoute(async(req, res) => {
+                await transferProvider.progress(req.session_id)
+                    .then(progress => res.send({ provider: transferProvider.name, ...progress }))
+                    .catch(error => {
+                        req.log.warn('transfer session not found', { accession_id: req.dataset.accession_id, error });
+                        res.sendStatus(404);
+                    });
+            }));
+
+            app.post('/do/datasets/:accession_id/uploads/cancel', policyUtils.requireScope(authUtils.apiScopes.WRITE_DATASETS), policyUtils.requireDataset(policyUtils.canEditDataset), requireTransferSession, asyncRoute(async(req, res) => {
+                await transferProvider.cancel(req.session_id)
+                    .then(async session => {
+                        await audit(req, {
+                            action: auditActions.UPLOAD_CANCELED,
+                            target_type: auditTargets.DATASET,
+                            target_id: req.dataset.id,
+                            accession_id: req.dataset.accession_id,
+                            after: { session_id: session.session_id, status: session.status },
+                        });
+                        res.send({ provider: transferProvider.name, session_id: session.session_id, status: session.status });
+                    })
+                    .catch(error => {
+                        req.log.warn('transfer session not found', { accession_id: req.dataset.accession_id, error });
+                        res.sendStatus(404);
+                    });
+            }));
+
+            // preview an email as it would be sent, for a dataset (`?accession_id=`) or a sample one
+            // `?format=html` or `?format=text` gives just that part of the email, else all of it with the missing placeholders
+            app.get('/do/templates/:type/preview', policyUtils.requireRole(roles.INTERNAL), asyncRoute(async(req, res) => {
+                let params = { ...templateUtils.sampleParams, ...req.query };
+                if (!!req.query.accession_id) {
+                    const dataset = await model.datasetExists({ accession_id: req.query.accession_id });
+                    if (!dataset) {
+                        return res.sendStatus(404);
+                    }
+                    const datasetUploadRequest = await model.getDatasetUploadRequest({ accession_id: dataset.accession_id });
+                    params = {
+                        ...params,
+                        ...dataset.toJSON(),
+                        ...(!!datasetUploadRequest ? datasetUploadRequest.toJSON() : {}),
+                        dataset: dataset.toJSON(),
+                    };
+                }
+                const email = emailUtils.renderEmail(req.params.type, params);
+                if (email === null) {
+                    return res.sendStatus(404);
+                }
+                switch (req.query.format) {
+                    case 'html':
+                        return res.type('html').send(email.html);
+                    case 'text':
+                        return res.type('text').send(email.text);
+                    default:
+                        return res.send(email);
+                }
+            }));
+
+            // notifications: what the user watches, and which events they want to hear about
+            app.get('/do/user/subscriptions', policyUtils.requireSession, asyncRoute(async(req, res) => {
+                res.send(await model.userSubscriptions(req.user.id));
+            }));
+
+            // watch a dataset (`accession_id`) or an organization (`organization`) the user can see
+            app.post('/do/user/subscriptions', policyUtils.requireSession, asyncRoute(async(req, res) => {
+                const { accession_id, organization } = req.body;
+                if (!!accession_id === !!organization) {
+                    return res.sendStatus(400);
+                }
+                if (!!accession_id) {
+                    const dataset = await model.datasetExists({ accession_id: `${accession_id}` });
+                    if (!dataset) {
+                        return res.sendStatus(404);
+                    }
+                    if (!policyUtils.canSeeDataset(req.user, dataset)) {
+                        return res.sendStatus(403);
+                    }
+                } else if (!policyUtils.isAdmin(req.user) && !policyUtils.canSeeOrganization(req.user, `${organization}`)) {
+                    return res.sendStatus(403);
+                }
+                const subscription = await model.subscribe(req.user.id, {
+                    accession_id: !!accession_id ? `${accession_id}` : null,
+                    organization: !!organization ? `${organization}` : null,
+                });
+                res.send(subscription);
+            }));
+
+            app.delete('/do/user/subscriptions/:id', policyUtils.requireSession, asyncRoute(async(req, res) => {
+                const removed = await model.unsubscribe(req.user.id, req.params.id);
+                res.sendStatus(removed > 0 ? 200 : 404);
+            }));
+
+            app.get('/do/user/preferences', policyUtils.requireSession, asyncRoute(async(req, res) => {
+                res.send(await model.userPreferences(req.user.id));
+            }));
+
+            // { <event>: true | false | { enabled, delivery } }, for the events given
+            // a delivery of DIGEST puts the event in the user's digest, instead of emailing it right away
+            app.post('/do/user/preferences', policyUtils.requireSession, jsonParser, asyncRoute(async(req, res) => {
+                res.send(await model.setUserPreferences(req.user.id, req.body));
+            }));
+
+            app.get('/do/user/digest', policyUtils.requireSession, asyncRoute(async(req, res) => {
+                res.send(await model.userDigestSetting(req.user.id));
+            }));
+
+            // { frequency: DAILY | WEEKLY, hour: 0-23 (UTC), weekday: 0-6 (Sunday is 0) }
+            app.post('/do/user/digest', policyUtils.requireSession, jsonParser, asyncRoute(async(req, res) => {
+                res.send(await model.setUserDigestSetting(req.user.id, req.body));
+            }));
+
+            // the audit trail, for admins
+            // filtered by `user_id`, `accession_id`, `action`, `target_type`, `target_id`, and a time range (`from`, `to`)
+            // `?format=csv` downloads it as CSV; otherwise it's paged with `before` (the id of the last entry of a page)
+            app.get('/do/audit', policyUtils.requireRole(roles.INTERNAL), asyncRoute(async(req, res) => {
+                let filters = null;
+                try {
+                    filters = auditFilters(req.query);
+                } catch (error) {
+                    return res.status(400).send({ error: error.message });
+                }
+                // the trail can be long, so it's written a batch at a time, as the client takes it (like the exports of datasets)
+                if (req.query.format === 'csv') {
+                    res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+                    res.type('csv');
+                    try {
+                        const writer = await exportUtils.exportFormats.csv.open(res, auditColumns);
+                        for await (const entries of model.auditEntryBatches(filters)) {
+                            for (const entry of entries) {
+                                await writer.row(auditColumns.map(column => entry[column]));
+                            }
+                            if (res.destroyed) {
+                                return;
+                            }
+                        }
+                        await writer.end();
+                        res.end();
+                    } catch (error) {
+                        req.log.error('audit download failed', { error });
+                        res.destroy(error);
+                    }
+                    return;
+                }
+                const limit = Math.min(Number(req.query.limit) || 100, 1000);
+                const entries = await model.auditEntries(filters, { limit, before: req.query.before });
+                res.send(entries);
+            }));
+
+            // the embargoes ending in the next `?days=` days (by default, see embargoUtils), soonest first
+            const embargoColumns = ['accession_id', 'name', 'organization', 'user_id', 'status', 'embargo_date', 'days_left'];
+            app.get('/do/embargoes', policyUtils.requireRole(roles.INTERNAL), asyncRoute(async(req, res) => {
+                const days = Number(req.query.days || embargoUtils.embargoOptions().upcoming_days);
+                if (!Number.isFinite(days) || days < 0) {
+                    return res.status(400).send({ error: `not a number of days: ${req.query.days}` });
+                }
+                const now = new Date();
+                const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+                const embargoes = (await model.upcomingEmbargoes(now, until)).map(dataset => ({
+                    ...Object.fromEntries(embargoColumns.map(column => [column, dataset[column]])),
+                    days_left: embargoUtils.daysUntil(dataset.embargo_date, now),
+                }));
+                if (req.query.format === 'csv') {
+                    res.attachment(`embargoes-${now.toISOString().slice(0, 10)}.csv`);
+                    return res.type('csv').send(csvUtils.toDelimited(embargoes, embargoColumns));
+                }
+                res.send({ from: now, until, embargoes });
+            }));
+
+            // the outbox, for admins to see what was sent, and to resend what couldn't be
+            // `?status=DEAD` lists the emails that failed too many times
+            app.get('/do/outbox', policyUtils.requireRole(roles.INTERNAL), asyncRoute(async(req, res) => {
+                const { status, event, accession_id } = req.query;
+                let where = {};
+                if (!!status) where.status = status;
+                if (!!event) where.event = event;
+                if (!!accession_id) where.accession_id = accession_id;
+                res.send(await model.outboxEmails(where));
+            }));
+
+            app.get('/do/outbox/:id', policyUtils.requireRole(roles.INTERNAL), asyncRoute(async(req, res) => {
+                const outboxEmail = await model.outboxEmail(req.params.id);
+                if (!outboxEmail) {
+                    return res.sendStatus(404);
+                }
+                res.send(outboxEmail);
+            }));
+
+            app.post('/do/outbox/:id/resend', policyUtils.requireRole(roles.INTERNAL), asyncRoute(async(req, res) => {
+                const outboxEmail = await model.outboxEmail(req.params.id);
+                if (!outboxEmail) {
+                    return res.sendStatus(404);
+                }
+                // only dead emails can be resent; the rest are still being tried
+                if (!(await model.resendEmail(outboxEmail.id))) {
+                    return res.sendStatus(409);
+                }
+                res.sendStatus(200);
+            }));
 
             // enum endpoints
-            // TODO: CSRF
-            app.get('/do/query/datasets/states', async(req, res) => {
+            app.get('/do/query/datasets/states', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
                 const results = await model.allDatasetStates({ raw: true });
                 if (results) {
                     res.setHeader('Content-Type', 'application/json');
@@ -410,68 +1110,159 @@ try {
                     res.send(404)
                 }
 
-            });
-            // TODO: CSRF
-            app.get('/do/query/datasets/datatypes', async(req, res) => {
+            }));
+            app.get('/do/query/datasets/datatypes', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
                 const results = await model.allDatasetTypes({ raw: true });
                 if (results) {
                     res.send(results);
                 } else {
                     res.send(404)
                 }
-            });
-            // TODO: CSRF
-            app.get('/do/query/datasets/sources', async(req, res) => {
+            }));
+            app.get('/do/query/datasets/sources', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
                 const results = await model.allDatasetSources({ raw: true });
                 if (results) {
                     res.send(results);
                 } else {
                     res.send(404)
                 }
-            });
-            // TODO: CSRF
-            app.get('/users/:userId/username', async(req, res) => {
+            }));
+            app.get('/users/:userId/username', policyUtils.requireSelfOrAdmin(), asyncRoute(async(req, res) => {
                 const results = await model.userExists({ id: req.params.userId })
                 if (results) {
                     res.send(JSON.stringify(results.dataValues.username));
                 } else {
                     res.send({});
                 }
-            });
-            // TODO: CSRF
-            app.get('/users/:userId/name', async(req, res) => {
+            }));
+            app.get('/users/:userId/name', policyUtils.requireSelfOrAdmin(), asyncRoute(async(req, res) => {
                 const results = await model.userExists({ id: req.params.userId })
                 if (results) {
                     res.send(JSON.stringify(results.dataValues.name));
                 } else {
                     res.send({});
                 }
-            });
-            // TODO: CSRF
-            app.get('/users/:userId/organization', async(req, res) => {
+            }));
+            app.get('/users/:userId/organization', policyUtils.requireSelfOrAdmin(), asyncRoute(async(req, res) => {
                 const results = await model.userExists({ id: req.params.userId })
                 if (results) {
                     res.send(JSON.stringify(results.dataValues.organization));
                 } else {
                     res.send({});
                 }
-            });
+            }));
 
-            // TODO: CSRF
-            app.get('/users/roles/', async(req, res) => {
+            // public, for the registration form
+            app.get('/users/roles/', asyncRoute(async(req, res) => {
                 const results = await model.allUserRoles();
                 res.setHeader('Content-Type', 'application/json');
                 res.send(JSON.stringify(results));
-            });
+            }));
 
 
-            app.post('/do/file/upload/:upload_id/', async(req, res) => {
+            // open (or resume) an upload session for a file belonging to a dataset
+            // the client gives the size of the file, then sends it in chunks to the upload endpoint
+            app.post('/do/file/upload/', policyUtils.requireScope(authUtils.apiScopes.WRITE_DATASETS), policyUtils.requireDataset(policyUtils.canEditDataset), asyncRoute(async(req, res) => {
+                const { accession_id, filename } = req.body;
+                const bytes_expected = Number(req.body.size);
+                if (!filename || !Number.isInteger(bytes_expected) || bytes_expected <= 0) {
+                    return res.sendStatus(400);
+                }
+                const fileUpload = await model.registerFileUpload({
+                    upload_id: uploadUtils.makeUploadId(),
+                    accession_id,
+                    user_id: req.user.id,
+                    filename,
+                    bytes_expected,
+                });
+                res.send({
+                    ...uploadUtils.uploadProgress(fileUpload),
+                    chunk_size: loadedConfig.uploads.chunk_size,
+                });
+            }));
 
-            });
+            // chunks are sent as raw bytes, placed by `Content-Range: bytes <start>-<end>/<total>`
+            // only the user who opened an upload (or an administrator) may add to it, or see its progress
+            const canUseUpload = (user, fileUpload) => `${fileUpload.user_id}` === `${user.id}` || policyUtils.isAdmin(user);
 
-            app.get('/do/file/upload/progress/:upload_id/', async(req, res) => {
+            app.post('/do/file/upload/:upload_id/', policyUtils.requireScope(authUtils.apiScopes.WRITE_DATASETS), asyncRoute(async(req, res) => {
+                let fileUpload = await model.fileUploadExists({ upload_id: req.params.upload_id });
+                if (!fileUpload) {
+                    return res.sendStatus(404);
+                }
+                if (!canUseUpload(req.user, fileUpload)) {
+                    return res.sendStatus(403);
+                }
+                if (fileUpload.status === events.transfers.UPLOAD_SUCCESS) {
+                    return res.send(uploadUtils.uploadProgress(fileUpload));
+                }
 
-            });
+                const range = uploadUtils.parseContentRange(req.get('Content-Range'));
+                const params = {
+                    accession_id: fileUpload.accession_id,
+                    upload_id: fileUpload.upload_id,
+                    filename: fileUpload.filename,
+                };
+
+                if (range !== null && range.start === 0 && fileUpload.status === events.transfers.UPLOAD_REQUESTED) {
+                    fileUpload = await model.updateFileUpload(fileUpload.upload_id, { status: events.transfers.UPLOAD_START });
+                    dispatch(broker, { request_id: req.id, status: events.transfers.UPLOAD_START, params });
+                }
+
+                try {
+                    const received = await uploadUtils.writeChunk(fileUpload, req, range);
+                    const status = received === Number(fileUpload.bytes_expected) ? events.transfers.UPLOAD_SUCCESS : fileUpload.status;
+                    const [recorded, recordedUpload] = await model.recordFileUploadProgress(fileUpload.upload_id, received, status);
+                    fileUpload = recordedUpload;
+                    // the upload request succeeds with the last of its files, not the first
+                    if (recorded && status === events.transfers.UPLOAD_SUCCESS && await model.allFileUploadsSucceeded(fileUpload.accession_id)) {
+                        dispatch(broker, { request_id: req.id, status, params });
+                    }
+                    res.send(uploadUtils.uploadProgress(fileUpload));
+                } catch (error) {
+                    // a chunk that's refused leaves the upload as it was, so that the client can resume it
+                    if (error === uploadUtils.uploadErrors.BAD_RANGE) {
+                        return res.sendStatus(400);
+                    } else if (error === uploadUtils.uploadErrors.OVERFLOW) {
+                        // the chunk was longer than its range; what it wrote past the range was thrown away
+                        return res.status(400).send(uploadUtils.uploadProgress(fileUpload));
+                    } else if (error === uploadUtils.uploadErrors.OFFSET_MISMATCH) {
+                        // tell the client where to resume from
+                        return res.status(416).send(uploadUtils.uploadProgress(fileUpload));
+                    } else if (error === uploadUtils.uploadErrors.INTERRUPTED) {
+                        // the client is gone, and will resume from the progress endpoint
+                        return res.end();
+                    }
+                    req.log.error('upload failed', { ...params, error });
+                    await model.updateFileUpload(fileUpload.upload_id, { status: events.transfers.UPLOAD_ERROR });
+                    dispatch(broker, { request_id: req.id, status: events.transfers.UPLOAD_ERROR, params: { ...params, error: `${error}` } });
+                    return res.status(500).send(uploadUtils.uploadProgress(fileUpload));
+                }
+            }));
+
+            app.get('/do/file/upload/progress/:upload_id/', policyUtils.requireScope(authUtils.apiScopes.READ_DATASETS), asyncRoute(async(req, res) => {
+                const fileUpload = await model.fileUploadExists({ upload_id: req.params.upload_id });
+                if (!fileUpload) {
+                    res.sendStatus(404);
+                } else if (!canUseUpload(req.user, fileUpload)) {
+                    res.sendStatus(403);
+                } else {
+                    res.send(uploadUtils.uploadProgress(fileUpload));
+                }
+            }));
+
+            // after every route, for what they fail with
+            app.use(errorHandler);
+
+            // send reminders to download datasets as they come due
+            startReminders();
+            // send the emails of the outbox, trying again those that failed
+            startOutbox(context.mail_transporter);
+            // send the digests of those who chose them
+            startDigests();
+            // announce the embargoes that have ended
+            startEmbargoes();
+            startTransfers(transferProvider);
 
             // INITIALIZE THE SERVER
             const port = loadedConfig.port;
@@ -479,11 +1270,11 @@ try {
                 key: fs.readFileSync(`${loadedConfig.https.key}`),
                 cert: fs.readFileSync(`${loadedConfig.https.cert}`)
             }, app).listen(port, () => {
-                console.log('[HTTPS] App started on port:', port)
+                logger.info('[HTTPS] App started', { port })
             })
 
 
         })
 } catch (error) {
-    console.error(error)
+    logger.error('app failed to start', { error })
 }
\ No newline at end of file
@@ -0,0 +1,31 @@
+// Actions recorded in the audit trail (see auditUtils)
+// * Each entry says who did what, to which user or dataset, with the values before and after, and from where
+const auditActions = Object.freeze({
+    // accounts
+    LOGIN: 'LOGIN',
+    LOGIN_FAILED: 'LOGIN_FAILED',
+    USER_REGISTERED: 'USER_REGISTERED',
+    USER_CONFIRMED: 'USER_CONFIRMED',
+    PASSWORD_RESET: 'PASSWORD_RESET',
+    API_TOKEN_ISSUED: 'API_TOKEN_ISSUED',
+    API_TOKEN_REVOKED: 'API_TOKEN_REVOKED',
+    // datasets
+    DATASET_REGISTERED: 'DATASET_REGISTERED',
+    DATASET_UPDATED: 'DATASET_UPDATED',
+    DATASET_STAGE_CHANGED: 'DATASET_STAGE_CHANGED',
+    EMBARGO_LIFTED: 'EMBARGO_LIFTED',
+    UPLOAD_REQUESTED: 'UPLOAD_REQUESTED',
+    UPLOAD_CANCELED: 'UPLOAD_CANCELED',
+});
+
+// what an entry is about
+const auditTargets = Object.freeze({
+    USER: 'user',
+    API_TOKEN: 'api_token',
+    DATASET: 'dataset',
+});
+
+module.exports = {
+    auditActions,
+    auditTargets,
+}
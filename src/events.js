@@ -9,13 +9,23 @@ module.exports = {
             UPLOAD_START: 'UPLOAD_START',
             UPLOAD_SUCCESS: 'UPLOAD_SUCCESS',
             UPLOAD_ERROR: 'UPLOAD_ERROR',
+            UPLOAD_CANCELED: 'UPLOAD_CANCELED',
+            UPLOAD_EXPIRED: 'UPLOAD_EXPIRED',
             DOWNLOAD_START: 'DOWNLOAD_START',
             DOWNLOAD_SUCCESS: 'DOWNLOAD_SUCCESS',
             DOWNLOAD_ERROR: 'DOWNLOAD_ERROR',
+            DOWNLOAD_REMINDER: 'DOWNLOAD_REMINDER',
+        },
+        datasets: {
+            EMBARGO_LIFTED: 'EMBARGO_LIFTED',
         },
         accounts: {
             REGISTERED: 'REGISTERED',
-            REGISTERED_ADMIN: 'REGISTERED_ADMIN'
+            REGISTERED_ADMIN: 'REGISTERED_ADMIN',
+            PASSWORD_RESET: 'PASSWORD_RESET',
+        },
+        notifications: {
+            DIGEST: 'DIGEST',
         }
     })
 }
\ No newline at end of file
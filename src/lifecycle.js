@@ -0,0 +1,40 @@
+// The stages a dataset moves through at the DCC, from registration to being live in the portal
+// Mirrors d1-d10 of the intake spreadsheet (see src/scripts/index.js)
+const stages = Object.freeze({
+    REGISTERED: 'REGISTERED',
+    COMPLIANCE_COMPLETE: 'COMPLIANCE_COMPLETE',               // d1. Compliance documentation complete
+    TRANSFERRED: 'TRANSFERRED',                               // d2. Data transferred to DCC
+    INVENTORIED: 'INVENTORIED',                               // d3. Data inventoried and securely stored at DCC
+    QC_STARTED: 'QC_STARTED',                                 // d4. Individual level data QC started
+    QC_REVIEW: 'QC_REVIEW',                                   // d5. Individual level data QC under review by collaborator
+    ANALYSIS_STARTED: 'ANALYSIS_STARTED',                     // d6. Individual level analysis started
+    ANALYSIS_REVIEW: 'ANALYSIS_REVIEW',                       // d7. Individual level analysis under review by collaborator
+    LOADED: 'LOADED',                                         // d8. Data loaded to the knowledge base
+    QA_REVIEW: 'QA_REVIEW',                                   // d9. Data available in QA portal for review
+    LIVE: 'LIVE',                                             // d10. Data live in portal
+});
+
+// Allowed moves out of each stage
+// * Summary level data has no individual level QC or analysis, so it can go from inventory straight to loading
+// * Reviews can send a dataset back to the stage being reviewed
+const transitions = Object.freeze({
+    [stages.REGISTERED]: [stages.COMPLIANCE_COMPLETE],
+    [stages.COMPLIANCE_COMPLETE]: [stages.TRANSFERRED],
+    [stages.TRANSFERRED]: [stages.INVENTORIED],
+    [stages.INVENTORIED]: [stages.QC_STARTED, stages.LOADED],
+    [stages.QC_STARTED]: [stages.QC_REVIEW],
+    [stages.QC_REVIEW]: [stages.QC_STARTED, stages.ANALYSIS_STARTED],
+    [stages.ANALYSIS_STARTED]: [stages.ANALYSIS_REVIEW],
+    [stages.ANALYSIS_REVIEW]: [stages.ANALYSIS_STARTED, stages.LOADED],
+    [stages.LOADED]: [stages.QA_REVIEW],
+    [stages.QA_REVIEW]: [stages.LOADED, stages.LIVE],
+    [stages.LIVE]: [],
+});
+
+module.exports = {
+    lifecycle: Object.freeze({
+        initial: stages.REGISTERED,
+        stages,
+        transitions,
+    })
+}
@@ -0,0 +1,34 @@
+// CSRF tokens for pages (see src/utils/csrfUtils.js)
+// * Every form that posts gets a hidden `_csrf` field with the token of the session.
+// * `csrfFetch` works like `fetch`, adding the token as an `X-CSRF-Token` header.
+const csrfToken = fetch('/do/csrf', { credentials: 'same-origin' })
+    .then(response => response.json())
+    .then(body => body.token);
+
+function csrfFetch(url, options = {}) {
+    return csrfToken.then(token => fetch(url, {
+        ...options,
+        credentials: 'same-origin',
+        headers: {
+            ...(options.headers || {}),
+            'X-CSRF-Token': token,
+        },
+    }));
+}
+
+const documentReady = new Promise(resolve => document.readyState === 'loading'
+    ? document.addEventListener('DOMContentLoaded', resolve)
+    : resolve());
+
+Promise.all([csrfToken, documentReady]).then(([token]) => {
+    document.querySelectorAll('form[method="post"]').forEach(form => {
+        let input = form.querySelector('input[name="_csrf"]');
+        if (!input) {
+            input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = '_csrf';
+            form.appendChild(input);
+        }
+        input.value = token;
+    });
+}).catch(console.warn);
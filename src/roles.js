@@ -0,0 +1,13 @@
+// Roles a user can have
+// * Internal users are DCC staff, and administer the whole site
+// * Organization administrators manage the datasets of their own organization
+// * Uploaders register and upload their own datasets
+const roles = Object.freeze({
+    INTERNAL: 'internal',
+    ORGANIZATION_ADMIN: 'organization_admin',
+    UPLOADER: 'uploader',
+});
+
+module.exports = {
+    roles,
+}
@@ -0,0 +1,103 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+const crypto = require('crypto');
+
+// Accessions: the IDs datasets are known by, to people as well as to us
+// * An accession is a prefix, a body and a check character: `DIG-000042` + `R` => `DIG-000042R`.
+// * The body is either sequential (the n-th accession ever issued, zero-padded) or random, as configured.
+// * Bodies are written in Crockford's base 32 (digits, and letters but I, L, O and U), so they can be read out loud,
+//   and the check character (Luhn mod N) catches any one mistyped character, and most swapped pairs.
+// * Accessions have nothing to do with the name of a dataset, so they don't change when it's renamed,
+//   and every version of a dataset keeps the accession of the dataset.
+// * Uniqueness is kept by the database: every accession ever issued is registered (see `model.issueAccession`).
+// * See the `accessions` block of the configuration.
+
+/* Example:
+
+    const accession = makeAccession('000042');      // => 'DIG-000042R'
+    parseAccession('dig-000042r');                  // => { prefix: 'DIG', body: '000042', check: 'R', valid: true, ... }
+    parseAccession('DIG-000043R');                  // => { ..., valid: false, error: 'wrong check character' }
+
+*/
+
+const alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+const accessionBodies = Object.freeze({
+    SEQUENTIAL: 'sequential',
+    RANDOM: 'random',
+});
+
+const accessionOptions = () => ({
+    prefix: 'DIG',
+    separator: '-',
+    body: accessionBodies.SEQUENTIAL,
+    length: 6,
+    check: true,
+    // how many accessions to try before giving up, when they collide
+    attempts: 10,
+    ...(loadedConfig.accessions || {}),
+});
+
+// Crockford's base 32 reads the letters that look like digits as those digits
+const normalizeBody = body => `${body}`.toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1');
+
+// Luhn mod N over the alphabet, so that the check character is one of its characters too
+function checkCharacter(body) {
+    const n = alphabet.length;
+    let factor = 2;
+    let sum = 0;
+    for (const character of [...`${body}`].reverse()) {
+        const code = alphabet.indexOf(character);
+        if (code < 0) {
+            throw new Error(`checkCharacter: ${character} is not in the alphabet`);
+        }
+        const addend = factor * code;
+        sum += Math.floor(addend / n) + (addend % n);
+        factor = factor === 2 ? 1 : 2;
+    }
+    return alphabet[(n - (sum % n)) % n];
+}
+
+const sequentialBody = (n, { length } = accessionOptions()) => `${n}`.padStart(length, '0');
+
+const randomBody = ({ length } = accessionOptions()) => Array.from({ length }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+
+function makeAccession(body, { prefix, separator, check } = accessionOptions()) {
+    return `${prefix}${separator}${body}${check ? checkCharacter(body) : ''}`;
+}
+
+// what an accession is made of, and whether it is one we could have issued
+// accessions are read whatever their case, and with the letters Crockford reads as digits
+function parseAccession(accession, { prefix, separator, check } = accessionOptions()) {
+    const given = `${accession || ''}`.trim().toUpperCase();
+    const head = `${prefix}${separator}`.toUpperCase();
+    if (!given.startsWith(head)) {
+        return { valid: false, error: `accessions begin with ${head}` };
+    }
+    const rest = normalizeBody(given.slice(head.length));
+    const body = check ? rest.slice(0, -1) : rest;
+    const checkGiven = check ? rest.slice(-1) : '';
+    const parsed = { prefix: prefix.toUpperCase(), body, check: checkGiven };
+    if (body.length === 0 || [...rest].some(character => !alphabet.includes(character))) {
+        return { ...parsed, valid: false, error: 'not an accession' };
+    }
+    if (check && checkCharacter(body) !== checkGiven) {
+        return { ...parsed, valid: false, error: 'wrong check character' };
+    }
+    return { ...parsed, valid: true, accession: `${parsed.prefix}${separator}${body}${checkGiven}` };
+}
+
+const isValidAccession = (accession, options) => parseAccession(accession, options).valid;
+
+module.exports = {
+    alphabet,
+    accessionBodies,
+    accessionOptions,
+    checkCharacter,
+    sequentialBody,
+    randomBody,
+    makeAccession,
+    parseAccession,
+    isValidAccession,
+}
@@ -1,6 +1,6 @@
 const model = require('./modelUtils');
 const fetch = require("node-fetch");
-const old_data = require('../data/old_data');
+const { logger } = require('./logUtils');
 
 function assert(condition, message) {
     if (!condition) {
@@ -8,7 +8,9 @@ function assert(condition, message) {
     }
 }
 
-const schemaCheck = (properties) => (object) => {
+const missingProperties = (properties) => (object) => properties.filter(property => !(object && object.hasOwnProperty(property)));
+
+const schemaCheck = (properties) => Object.assign((object) => {
     // Check if function has all the properties 
     // Useful for assuring that objects satisfy a schema at runtime
     // Applications include making sure functions that modify properties of an object conform to a schema,
@@ -37,10 +39,13 @@ const schemaCheck = (properties) => (object) => {
         });
         return object;
     } catch (error) {
-        console.error(error);
+        logger.debug('schema check failed', { error: error.message });
         return null;
     }
-}
+}, {
+    // lets callers (like Aggregation) explain why an object failed the check
+    missingProperties: missingProperties(properties),
+});
 
 const adapt = reshaper => objects => objects.map(reshaper);
 const filterEntries = filter => entries => entries.filter(entry => {
@@ -50,7 +55,7 @@ const filterEntries = filter => entries => entries.filter(entry => {
             return entry[key] === value;
         })
     } else {
-        console.warn("the filter given to the adapter doesn't have a `where` clause")
+        logger.warn("the filter given to the adapter doesn't have a `where` clause")
         return entries;
     }
 });
@@ -67,7 +72,7 @@ const isDatasetEntry = schemaCheck([
     'description'
 ]);
 
-const oldDataAdapter = filter => new Promise(res => res(adapt(el => isDatasetEntry({
+const oldDataAdapter = filter => new Promise(res => res(adapt(el => ({
     name: el['Dataset Name'],
     portal: el.portal,
     principal_investigator: el['PI/Contact'],
@@ -84,13 +89,12 @@ const oldDataAdapter = filter => new Promise(res => res(adapt(el => isDatasetEnt
     // 'Need / Urgency': '',
     // Notes: 'PMID: 30820047'
 }))((function() {
+    // the spreadsheet is only read when it's asked for, so that the other adapters don't depend on it
+    const old_data = require('../data/old_data');
     new_data = [];
-    console.log(old_data.data)
     Object.entries(old_data.data).forEach(el => {
         const [portal, schemas] = el;
-        console.log([portal, schemas])
         schemas.datasets.forEach(datasetEntry => {
-            console.log(datasetEntry)
             new_data.push({
                 portal,
                 ...datasetEntry
@@ -100,87 +104,106 @@ const oldDataAdapter = filter => new Promise(res => res(adapt(el => isDatasetEnt
     return new_data;
 })())))
 
-const dgaAnnotations = (filter) => fetch(
-        'http://www.diabetesepigenome.org:8080/getAnnotation', {
-            method: "POST",
-            body: JSON.stringify({ type: 'Annotation' })
-        })
-    .then(result => result.json())
-    .then((responseBody) => {
-
-        // TODO: Json Query
-        const parsedResponse = Object.entries(responseBody)[0][1];
+// Remote datasources, declared in configuration instead of code
+// * Adding a new portal's registry should be a change to `remote_datasources` in config.yml, not to this file.
+// * Root keys are schemas, child keys are the names of remote datasources:
 
-        // TODO: it should be feasible to turn this into a spec driven construct?
-        /*
-        Consider a yaml file:
-
-        ```yaml
-        remote_datasource:
-            # keys here are names
+/*
+    remote_datasources:
+        dataset_entry:
             dga_annotations:
-                url: 'http://www.diabetesepigenome.org:8080/getAnnotationRegistry'
-                body: "{ type: 'Annotation' }"   # possible make a yaml object as well?
-                adapt:
-                    schema: 'datasetEntry'
-                    translation:
-                        # keys here would be iterated on for a remapping function
-                        workflow: 'underlying_assay'
-                            # type properties optional
-                            type: 'array'
-                        accession_id: 'annotation_id'
-                        name: 'tissue_id'
-                        location: 'DGA'
-                            # use this to treat the string value as a literal, not key
-                            force: True
-        ```
-
-        We could be even more presumptive about how we parse the configuration to make it more terse:
-
-        ```yaml
-       
-        dataset_entry:                                    # in the file, root keys are schemas                            
-            dga_annotations:                              # child keys are remote datasource names
-                url: 'http://www.diabetesepigenome.org:8080/getAnnotationRegistry'
-                body: 
-                    type: 'Annotation'                    # treated as keys in JSON body
+                url: 'http://www.diabetesepigenome.org:8080/getAnnotation'
+                method: 'POST'                  # optional, GET by default (or POST if there is a body)
+                body:
+                    type: 'Annotation'          # sent as the JSON body of the request
+                label: 'DGA registry'           # optional name to show users, e.g. when the datasource is unavailable
+                results: 'data.annotations'     # optional path to the array of results in the response
                 translate:
-                    workflow: 'underlying_assay'
+                    # schema key: key (or dotted path) in each remote result
                     accession_id: 'annotation_id'
-                    # etc
+                    workflow: 'underlying_assay'
                 provide:
-                    # instead of using 'force'
+                    # schema key: literal value given to every result
                     location: 'DGA'
-        ```
-
-        The goal is to make it much easier in the long run to add remote datasources.
-        It should be able to be handled familiar with the datasets, BUT not the code.
-
-        BUT we have some problems of making sure the data that does get returned is an array of objects.
-
-        */
+                enabled: true                   # optional, set to false to keep the datasource from being bound
+                timeout: 30                     # optional, in seconds; a datasource that takes longer fails
+                cache:                          # optional, in seconds (see cacheUtils)
+                    ttl: 300                    # serve cached results this long
+                    stale_while_revalidate: 600 # then serve them while asking again in the background
+                    fallback: 86400             # serve the last good results this long if the datasource is down
+*/
+
+// follow a dotted path ('data.annotations') into an object; an empty path is the object itself
+const valueAt = (object, path) => `${path || ''}`.split('.').filter(key => key !== '')
+    .reduce((value, key) => (value === null || value === undefined) ? undefined : value[key], object);
+
+// find the array of results in a response
+// if no path is given, use the response if it's an array, else its first property (e.g. `{ "annotations": [...] }`)
+function locateResults(responseBody, path) {
+    const results = !!path ? valueAt(responseBody, path)
+        : Array.isArray(responseBody) ? responseBody
+        : Object.values(responseBody || {})[0];
+    assert(Array.isArray(results), `locateResults: no array of results found at '${path || ''}'`);
+    return results;
+}
 
-        // translation function
-        const datasetEntries = adapt(o => isDatasetEntry({
-            accession_id: o.annotation_id,
-            description: `${o.portal_tissue_id}`,
-            organization: 'DGA',
-            name: `${o.portal_tissue}`,
-            source: o.annotation_source,
-            workflow: `${o.underlying_assay}`, // TODO: array value? turn into string
-            status: o.dataset_status, // TODO: map into our own status codes for dataset status?
-            datatype: 'annotation',
-            location: `diabetesgenome.org`, // TODO: how to link into DGA resource to see the result?
-            principal_investigator: o.lab,
-            visible: 1 // truthy, if we're seeing it here we're supposed to see it because the datasource is public
-        }))(parsedResponse);
+// remap a remote result onto our schema
+// arrays are flattened into strings, since our schema doesn't store lists
+// values missing from the result are left out, so that the schema check can catch them
+const translateEntry = (translate = {}, provide = {}) => object => {
+    let entry = {};
+    Object.entries(translate).forEach(([key, path]) => {
+        const value = valueAt(object, path);
+        if (value !== undefined) {
+            entry[key] = Array.isArray(value) ? value.join(',') : value;
+        }
+    });
+    return {
+        ...entry,
+        ...provide,
+    }
+}
 
-        return datasetEntries;
+// build an adapter function (filter => Promise<Array<entry>>) from the specification of a remote datasource
+// entries are checked against the schema by the aggregation they're bound to, which reports the ones it rejects
+// a datasource that answers with an error, or not in time, fails (rather than holding up the aggregation)
+const makeRemoteAdapter = ({ url, method, headers = {}, body, results, translate, provide, timeout = 30 }) => async filter => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout * 1000);
+    try {
+        const result = await fetch(url, {
+            method: method || (body ? 'POST' : 'GET'),
+            headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller.signal,
+        });
+        if (!result.ok) {
+            throw new Error(`${url} answered ${result.status} ${result.statusText}`);
+        }
+        const responseBody = await result.json();
+        return filterEntries(filter)(adapt(translateEntry(translate, provide))(locateResults(responseBody, results)));
+    } catch (error) {
+        throw error.name === 'AbortError' ? new Error(`${url} didn't answer within ${timeout} seconds`) : error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
 
-    }).then(filterEntries(filter))
+// all enabled remote datasources given for a schema, as named adapters
+const makeRemoteAdapters = (specifications = {}) => Object.entries(specifications || {})
+    .filter(([name, specification]) => specification.enabled !== false)
+    .map(([name, specification]) => ({
+        name,
+        adapter: makeRemoteAdapter(specification),
+        metadata: {
+            label: specification.label || name,
+            cache: specification.cache,
+        },
+    }));
 
 module.exports = {
     oldDataAdapter,
-    dgaAnnotations,
+    makeRemoteAdapter,
+    makeRemoteAdapters,
     isDatasetEntry,
 }
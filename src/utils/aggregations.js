@@ -1,5 +1,10 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
 const adapterUtils = require('./adapterUtils')
 const modelUtils = require('./modelUtils')
+const { SourceCache } = require('./cacheUtils')
+const { logger } = require('./logUtils')
 
 // Aggregations
 // * Register functions before executing all of them, collecting their results.
@@ -13,7 +18,11 @@ const modelUtils = require('./modelUtils')
 //    * 'Query' is an object passable as an argument
 //    * 'Functions' is an array of uncalled functions to be stored for collection later. They can be async.
 //    * All of these arguments are optional.
-// * `<Aggregation>.bind(<Function>)`: Store a function to call later. The functions can be async. `bind` is chainable.
+// * `<Aggregation>.bind(<Function>, <identity>?, {<metadata>}?)`: Store a function to call later. The functions can be async. `bind` is chainable.
+//    * 'Identity' names the source in the results of `collect`. Defaults to the order in which the function was bound.
+//    * 'Metadata' is given back with the results of the source, e.g. `{ label: 'DGA registry' }`.
+//      If it has a `cache` (options of `SourceCache`), the results of the source are cached per query.
+// * `<Aggregation>.refresh(<identity>?)`: Forget the cached results of a source (or of every source), so they're asked for again.
 // * `<Aggregation>.collect(<Function>)`: Call all stored functions. A common query parameter.
 
 /* Examples: Aggregating a remote datasource with a local entity:
@@ -30,10 +39,19 @@ const modelUtils = require('./modelUtils')
     // Collecting the results of an Aggregation with 'collect' method
     // It is asynchronous (working like a Promise.all)
 
-    const allEntities = await Entities.collect()   // run the database query and API call, then collect results into an array.
+    const results = await Entities.collect()   // run the database query and API call, then collect results into an array.
+
+    // Result: one report per source, in the order they were bound
+    // [
+    //   { source: 0, metadata: {}, items: [<entities from database>], count, rejected: [{ item, reason }], error: null, duration },
+    //   { source: 1, metadata: {}, items: [], count: 0, rejected: [], error: 'request to ... failed', duration },
+    // ]
+    // A source that fails doesn't fail the collection; its error is reported and its items are empty,
+    // unless it is cached, in which case the items are its last good results (see `cached`, `stale` and `fetched_at`).
+    // Items that fail the schema check are rejected one by one, rather than throwing away the whole batch.
 
-    // Result: [ [<entities from database>], [<entities from remote resource's API call>] ]
-    // NOTE: as of current implementation, order does not matter and information about which function returned what result fails
+    const allEntities = Aggregation.items(results)   // [<entities from database>, <entities from remote resource's API call>]
+    const sources = Aggregation.sources(results)      // the reports, without their items
 
 */
 
@@ -45,34 +63,103 @@ class Aggregation {
 
     constructor(schemaCheck = id => id, query = {}, functions = []) {
         this.#schemaCheck = schemaCheck;
-        this.#functions = functions;
+        this.#functions = functions.map((callback, identity) => ({ callback, identity, metadata: {}, cache: null }));
         this.#query = query;
     }
 
-    // TODO: Do we want to access the individual results of the aggregation, 
-    //  to increase predictability?
-    // TODO: Do we want to keep track of metadata or registration data
-    // Use the "identity" element, make collect push results into entries?
-    // Use metadata for filtering the collection?
+    // all the items collected, from every source
+    static items(results) {
+        return results.flatMap(result => result.items);
+    }
+
+    // how each source fared, without its items (e.g. to tell users that a source is unavailable)
+    static sources(results) {
+        return results.map(({ source, metadata, count, rejected, error, duration, cached, stale, fetched_at }) => ({
+            source,
+            label: metadata.label || `${source}`,
+            count,
+            rejected: rejected.map(({ reason }) => reason),
+            error,
+            duration,
+            cached,
+            stale,
+            fetched_at,
+        }));
+    }
+
     bind(callback, identity = this.#functions.length, metadata = {}) {
-        this.#functions.push(callback);
+        const cache = !!metadata.cache ? new SourceCache(metadata.cache) : null;
+        this.#functions.push({ callback, identity, metadata, cache });
         return this;
     }
 
-    // TODO: IO protection
+    // returns the identities of the sources whose caches were cleared
+    refresh(identity) {
+        return this.#functions
+            .filter(f => !!f.cache && (identity === undefined || f.identity === identity))
+            .map(f => {
+                f.cache.clear();
+                return f.identity;
+            });
+    }
+
+    // schema checks made with `adapterUtils.schemaCheck` can tell us what's missing from an item
+    #rejectionReason(item) {
+        const missingProperties = this.#schemaCheck.missingProperties;
+        return !!missingProperties ? `missing properties: ${missingProperties(item).join(', ')}` : 'failed schema check';
+    }
+
+    async #collectFrom({ callback, identity, metadata, cache }, query) {
+        const started = Date.now();
+        let items = [];
+        let rejected = [];
+        let error = null;
+        let cached = false;
+        let stale = false;
+        let fetched_at = started;
+        try {
+            let results = null;
+            if (!!cache) {
+                const entry = await cache.get(JSON.stringify(query), () => callback(query));
+                ({ cached, stale, fetched_at } = entry);
+                if (entry.error) {
+                    logger.warn('source failed, serving cached results', { source: identity, error: entry.error });
+                    error = entry.error.message || `${entry.error}`;
+                }
+                results = entry.value;
+            } else {
+                results = await callback(query);
+            }
+            (results || []).forEach(item => {
+                if (this.#schemaCheck(item)) {
+                    items.push(item);
+                } else {
+                    rejected.push({ item, reason: this.#rejectionReason(item) });
+                }
+            });
+        } catch (e) {
+            logger.error('source failed', { source: identity, error: e });
+            error = e.message || `${e}`;
+        }
+        return {
+            source: identity,
+            metadata,
+            items,
+            count: items.length,
+            rejected,
+            error,
+            duration: Date.now() - started,
+            cached,
+            stale,
+            fetched_at: new Date(fetched_at),
+        };
+    }
+
     async collect(query = this.#query) {
         if (this.#functions.length > 0) {
-            return Promise.all(
-                this.#functions.map(
-                    // TODO: liftable?
-                    async f => {
-                        console.log(f, f(query))
-                        return f(query).then(aos => aos.every(this.#schemaCheck) ? aos : []).catch(e => { console.error(e); return [] })
-                    }
-                )
-            )
+            return Promise.all(this.#functions.map(f => this.#collectFrom(f, query)));
         } else {
-            console.warn('Asked for collection from Aggregator with no functions registered!')
+            logger.warn('Asked for collection from Aggregator with no functions registered!')
             return [];
         }
     }
@@ -81,13 +168,18 @@ class Aggregation {
 
 const DatasetEntryAggregation = new Aggregation(adapterUtils.isDatasetEntry)
 DatasetEntryAggregation
-    //.bind(adapterUtils.dgaAnnotations)
-    .bind(adapterUtils.oldDataAdapter)
+    .bind(adapterUtils.oldDataAdapter, 'old_data', { label: 'Intake spreadsheet' })
     //.bind(modelUtils.allDatasets)
 
+// remote datasources are declared in the configuration (see adapterUtils)
+const remoteDatasources = loadedConfig.remote_datasources || {};
+adapterUtils.makeRemoteAdapters(remoteDatasources.dataset_entry)
+    .forEach(({ name, adapter, metadata }) => DatasetEntryAggregation.bind(adapter, name, metadata));
+
 // Test
 // DatasetEntryAggregator.collect().then(a => a.flatMap(id=>id)).then(console.log)
 
 module.exports = {
+    Aggregation,
     DatasetEntryAggregation
 }
@@ -0,0 +1,72 @@
+const model = require('./modelUtils');
+const { logger, redact } = require('./logUtils');
+const { auditActions, auditTargets } = require('../audit');
+
+// The audit trail: who did what, to which user or dataset, and from where
+// * Recorded by the routes, after the action has succeeded (or, for logins, failed).
+// * Recording never fails the request; a failure to record is logged instead.
+// * Values before and after are redacted like log entries, so no password hash or token ends up in the trail.
+// * Scheduled jobs, which act for nobody in particular, record their actions without a request: `audit({}, ...)`.
+
+/* Example:
+
+    await audit(req, {
+        action: auditActions.DATASET_STAGE_CHANGED,
+        target_type: auditTargets.DATASET,
+        target_id: dataset.id,
+        accession_id: dataset.accession_id,
+        before: { status: 'REGISTERED' },
+        after: { status: 'TRANSFERRED' },
+    });
+
+*/
+
+// the columns of the CSV export, in order
+const auditColumns = [
+    'id', 'createdAt', 'user_id', 'username', 'action', 'target_type', 'target_id', 'accession_id', 'before', 'after', 'ip', 'request_id',
+];
+
+// `req.ip` follows the `trust proxy` setting of the app
+const clientIp = req => req.ip || (req.socket && req.socket.remoteAddress) || '';
+
+// `user` is who did it, if it isn't the user of the request (like a user logging in)
+async function audit(req, { action, target_type, target_id, accession_id, before, after, user = req.user }) {
+    try {
+        return await model.recordAudit({
+            user_id: !!user ? user.id : null,
+            username: !!user ? user.username : '',
+            action,
+            target_type,
+            target_id: target_id !== undefined && target_id !== null ? `${target_id}` : null,
+            accession_id: accession_id || null,
+            before: before !== undefined ? redact(before) : null,
+            after: after !== undefined ? redact(after) : null,
+            ip: clientIp(req),
+            request_id: req.id,
+        });
+    } catch (error) {
+        (req.log || logger).error('audit failed', { action, target_type, target_id, error });
+        return null;
+    }
+}
+
+// the filters of the audit endpoint, from its query; dates that can't be read are an error
+function auditFilters({ user_id, accession_id, action, target_type, target_id, from, to }) {
+    const date = value => {
+        if (!value) return undefined;
+        const parsed = new Date(value);
+        if (isNaN(parsed.getTime())) {
+            throw new Error(`not a date: ${value}`);
+        }
+        return parsed;
+    };
+    return { user_id, accession_id, action, target_type, target_id, from: date(from), to: date(to) };
+}
+
+module.exports = {
+    auditActions,
+    auditTargets,
+    auditColumns,
+    audit,
+    auditFilters,
+}
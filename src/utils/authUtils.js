@@ -30,8 +30,125 @@ const validatePassword = (
     hash_implementation
 ) => obscured_password => obscurePassword(given_password, hash_implementation, password_salt) === obscured_password;
 
+// single use tokens sent to users by email, e.g. to confirm their account
+// the purpose is signed into the token, so a token for one purpose can't be used for another
+const tokenPurposes = Object.freeze({
+    CONFIRM: 'CONFIRM',
+    PASSWORD_RESET: 'PASSWORD_RESET',
+});
+
+// the blocks of the `auth` configuration for each purpose
+const tokenConfigs = Object.freeze({
+    [tokenPurposes.CONFIRM]: 'confirmation',
+    [tokenPurposes.PASSWORD_RESET]: 'password_reset',
+});
+
+// a token is sent to an account at most once every `resend_every` seconds, so that the forms which send them
+// (and which anyone can use) can't flood an inbox
+const resendEvery = purpose => {
+    const { resend_every } = loadedConfig.auth[tokenConfigs[purpose]] || {};
+    return resend_every !== undefined ? Number(resend_every) : 300;
+}
+
+const mayResendToken = (purpose, last_issued_at, now = new Date(), every = resendEvery(purpose)) =>
+    !last_issued_at || new Date(now).getTime() - new Date(last_issued_at).getTime() >= every * 1000;
+
+// hash tokens before storing them, so that a leaked table doesn't leak usable tokens
+const hashToken = token => crypto.createHash('sha256').update(`${token}`).digest('hex');
+
+const base64url = buffer => Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const fromBase64url = string => Buffer.from(`${string}`.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const tokenSignature = (payload, secret) => base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+
+// <payload>.<signature>, where the payload is JSON with an expiry (`exp`, in seconds since the epoch)
+const signToken = (
+    payload,
+    expires_in,
+    secret=loadedConfig.session_key,
+) => {
+    const encodedPayload = base64url(JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + expires_in }));
+    return `${encodedPayload}.${tokenSignature(encodedPayload, secret)}`;
+}
+
+// the payload of the token, if it was signed by us and hasn't expired, else null
+const verifyToken = (
+    token,
+    secret=loadedConfig.session_key,
+) => {
+    const [encodedPayload, signature, ...rest] = `${token || ''}`.split('.');
+    if (!encodedPayload || !signature || rest.length > 0) {
+        return null;
+    }
+    const expected = Buffer.from(tokenSignature(encodedPayload, secret));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+    try {
+        const payload = JSON.parse(fromBase64url(encodedPayload).toString('utf-8'));
+        return payload.exp > Date.now() / 1000 ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
+// JSON web tokens, for programmatic access to the API
+// signed (HS256) with the `auth.jwt.token_secret` of the configuration
+// `admin` is for the routes of internal users, and only they can be issued it
+const apiScopes = Object.freeze({
+    READ_DATASETS: 'read:datasets',
+    WRITE_DATASETS: 'write:datasets',
+    ADMIN: 'admin',
+});
+
+const signJWT = (
+    payload,
+    expires_in,
+    secret=loadedConfig.auth.jwt.token_secret,
+) => {
+    const issued_at = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: issued_at, exp: issued_at + expires_in }));
+    return `${header}.${body}.${tokenSignature(`${header}.${body}`, secret)}`;
+}
+
+// the payload of the JWT, if it was signed by us and hasn't expired, else null
+const verifyJWT = (
+    token,
+    secret=loadedConfig.auth.jwt.token_secret,
+) => {
+    const [header, body, signature, ...rest] = `${token || ''}`.split('.');
+    if (!header || !body || !signature || rest.length > 0) {
+        return null;
+    }
+    const expected = Buffer.from(tokenSignature(`${header}.${body}`, secret));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+    try {
+        if (JSON.parse(fromBase64url(header).toString('utf-8')).alg !== 'HS256') {
+            return null;
+        }
+        const payload = JSON.parse(fromBase64url(body).toString('utf-8'));
+        return payload.exp > Date.now() / 1000 ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
 module.exports = {
     shakeSalt,
     obscurePassword,
     validatePassword,
+    tokenPurposes,
+    resendEvery,
+    mayResendToken,
+    hashToken,
+    signToken,
+    verifyToken,
+    apiScopes,
+    signJWT,
+    verifyJWT,
 }
\ No newline at end of file
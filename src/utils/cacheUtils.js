@@ -0,0 +1,92 @@
+const { logger } = require('./logUtils');
+
+// Caching for slow or unreliable sources (like remote datasources bound to an Aggregation)
+// * Fresh entries (younger than `ttl`) are served as they are.
+// * Stale entries (younger than `ttl + stale_while_revalidate`) are served while the source is asked again in the background.
+// * Older entries are replaced by asking the source, waiting for the answer.
+// * If the source fails, the last good answer is served as long as it is younger than `fallback`, else the failure is thrown.
+// All durations are in seconds. Only `max_entries` queries are remembered per cache, the least recently stored are forgotten first.
+
+/* Example:
+
+    const cache = new SourceCache({ ttl: 60 });
+    const { value, cached, stale, fetched_at, error } = await cache.get(JSON.stringify(query), () => fetchRemote(query));
+
+*/
+
+const cacheDefaults = Object.freeze({
+    ttl: 300,
+    stale_while_revalidate: 600,
+    fallback: 86400,
+    max_entries: 100,
+});
+
+class SourceCache {
+
+    #options
+    #entries
+    #pending
+
+    constructor(options = {}) {
+        this.#options = { ...cacheDefaults, ...options };
+        this.#entries = new Map();
+        this.#pending = new Map();
+    }
+
+    #store(key, value) {
+        this.#entries.delete(key);
+        this.#entries.set(key, { value, fetched_at: Date.now() });
+        while (this.#entries.size > this.#options.max_entries) {
+            this.#entries.delete(this.#entries.keys().next().value);
+        }
+    }
+
+    // only ask the source once for the same key, no matter how many are waiting on it
+    #fetch(key, fetcher) {
+        if (!this.#pending.has(key)) {
+            const request = Promise.resolve()
+                .then(fetcher)
+                .then(value => {
+                    this.#store(key, value);
+                    return this.#entries.get(key);
+                })
+                .finally(() => this.#pending.delete(key));
+            this.#pending.set(key, request);
+        }
+        return this.#pending.get(key);
+    }
+
+    async get(key, fetcher) {
+        const { ttl, stale_while_revalidate, fallback } = this.#options;
+        const entry = this.#entries.get(key);
+        const age = !!entry ? (Date.now() - entry.fetched_at) / 1000 : Infinity;
+
+        if (age < ttl) {
+            return { ...entry, cached: true, stale: false, error: null };
+        }
+        if (age < ttl + stale_while_revalidate) {
+            this.#fetch(key, fetcher).catch(error => logger.warn('revalidation failed', { key, error }));
+            return { ...entry, cached: true, stale: true, error: null };
+        }
+        try {
+            const fresh = await this.#fetch(key, fetcher);
+            return { ...fresh, cached: false, stale: false, error: null };
+        } catch (error) {
+            if (age < fallback) {
+                return { ...entry, cached: true, stale: true, error };
+            }
+            throw error;
+        }
+    }
+
+    // forget everything, so that the next `get` asks the source
+    clear() {
+        this.#entries.clear();
+    }
+
+}
+
+module.exports = {
+    cacheDefaults,
+    SourceCache,
+}
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const authUtils = require('./authUtils');
+
+// CSRF protection with synchronizer tokens
+// * Each session gets a random token, which pages ask for (GET /do/csrf) and send back with anything that changes state:
+//   forms in a `_csrf` field, fetch calls in an `X-CSRF-Token` header (see src/pages/csrf.js).
+// * Requests authenticated with a bearer token don't carry the session cookie a forgery would ride on, so they're exempt.
+
+const safeMethods = ['GET', 'HEAD', 'OPTIONS'];
+
+function csrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = authUtils.shakeSalt(32);
+    }
+    return req.session.csrfToken;
+}
+
+const tokensMatch = (expected, given) => {
+    const expectedBuffer = Buffer.from(`${expected || ''}`);
+    const givenBuffer = Buffer.from(`${given || ''}`);
+    return expectedBuffer.length > 0
+        && expectedBuffer.length === givenBuffer.length
+        && crypto.timingSafeEqual(expectedBuffer, givenBuffer);
+}
+
+function csrfProtection(req, res, next) {
+    if (safeMethods.includes(req.method)) {
+        return next();
+    }
+    if (!!req.auth && req.auth.type === 'bearer') {
+        return next();
+    }
+    const given = (req.body && req.body._csrf) || req.get('X-CSRF-Token');
+    if (!tokensMatch(req.session && req.session.csrfToken, given)) {
+        return res.status(403).send({ error: 'Invalid or missing CSRF token. Reload the page and try again.' });
+    }
+    next();
+}
+
+module.exports = {
+    csrfToken,
+    csrfProtection,
+}
@@ -0,0 +1,33 @@
+// Delimited text (CSV, TSV) for exports
+// * Values are quoted only when they have to be: when they hold the delimiter, a quote or a line break.
+// * Dates are written in ISO 8601, objects as JSON, and null or undefined as nothing.
+// * Text that spreadsheets would take for a formula (starting with =, +, -, @, a tab or a carriage return)
+//   is prefixed with ', so that opening an export can't run anything. Numbers are left as they are.
+
+const formatCell = value => value === null || value === undefined ? ''
+    : value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : `${value}`;
+
+const formulaStart = /^[=+\-@\t\r]/;
+
+const escapeCell = (value, delimiter = ',') => {
+    const text = typeof value !== 'number' && formulaStart.test(formatCell(value)) ? `'${formatCell(value)}` : formatCell(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// one line, with its line break
+const delimitedLine = (values, delimiter = ',') => `${values.map(value => escapeCell(value, delimiter)).join(delimiter)}\r\n`;
+
+// a header line, then a line per row, with the columns in the order given
+const toDelimited = (rows, columns, delimiter = ',') => [
+    delimitedLine(columns, delimiter),
+    ...rows.map(row => delimitedLine(columns.map(column => row[column]), delimiter)),
+].join('');
+
+module.exports = {
+    formatCell,
+    escapeCell,
+    delimitedLine,
+    toDelimited,
+}
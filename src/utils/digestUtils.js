@@ -0,0 +1,92 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+const { events } = require('../events');
+
+// Digests: one email summing up what happened to datasets over a day or a week, instead of one email per event
+// * Users opt in per event, by choosing the DIGEST delivery for it (see `model.setUserPreferences`).
+// * Each user chooses when their digest is sent: daily or weekly, at an hour (and weekday) in UTC (see `model.setUserDigestSetting`).
+// * The digest lists, per dataset, its stage changes, uploads, failures and upcoming deadlines,
+//   and is rendered with the DIGEST template like any other email.
+// * Stage changes and deadlines are those of every dataset the user is told about (see `model.followedDatasets`),
+//   so a dataset is in the digest even when nothing else happened to it.
+// * See the `digests` block of the configuration.
+
+const hour = 60 * 60 * 1000;
+const day = 24 * hour;
+
+const digestOptions = () => ({
+    check_every: 300,
+    // how far ahead to look for deadlines
+    upcoming_days: 7,
+    ...(loadedConfig.digests || {}),
+});
+
+// the first time after `after` that a digest is due, for a user's setting
+function nextDigestAt({ frequency, hour: atHour, weekday }, after) {
+    const from = new Date(after);
+    let next = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate(), atHour));
+    while (next <= from || (frequency === 'WEEKLY' && next.getUTCDay() !== weekday)) {
+        next = new Date(next.getTime() + day);
+    }
+    return next;
+}
+
+const latest = (...times) => new Date(Math.max(...times.filter(time => !!time).map(time => new Date(time).getTime())));
+
+// a digest is due once its time has come since it was last sent, and since the oldest event waiting in it
+// (an event that came after the last digest waits for the next time, not the one already gone)
+const isDigestDue = (setting, since, now = new Date()) => nextDigestAt(setting, latest(setting.last_sent_at, since)) <= now;
+
+const failures = [
+    events.transfers.UPLOAD_ERROR,
+    events.transfers.UPLOAD_CANCELED,
+    events.transfers.UPLOAD_EXPIRED,
+    events.transfers.DOWNLOAD_ERROR,
+];
+
+const formatTime = time => new Date(time).toUTCString();
+
+const isUpcoming = (deadline, now, { upcoming_days } = digestOptions()) => !!deadline
+    && new Date(deadline) > now && new Date(deadline) - now <= upcoming_days * day;
+
+// the Markdown listing a digest, grouped by dataset; empty when there's nothing to tell
+// items: the events waiting in the digest; transitions: stage changes of the datasets; deadlines: { <accession_id>: Date }
+// names: { <accession_id>: name }, for the datasets no event names
+function digestSummary({ items, transitions = [], deadlines = {}, names = {} }, now = new Date()) {
+    const accessions = [...new Set([
+        ...items.map(item => item.accession_id),
+        ...transitions.map(transition => transition.accession_id),
+        ...Object.keys(deadlines).filter(accession_id => isUpcoming(deadlines[accession_id], now)),
+    ])];
+    return accessions.map(accession_id => {
+        const events = items.filter(item => item.accession_id === accession_id);
+        const name = events.map(item => (item.params || {}).name).find(name => !!name) || names[accession_id] || accession_id;
+        const stageChanges = transitions.filter(transition => transition.accession_id === accession_id)
+            .map(transition => `* ${formatTime(transition.createdAt)}: ${transition.from_stage || 'new'} → ${transition.to_stage}`);
+        const uploads = events.filter(item => !failures.includes(item.event))
+            .map(item => `* ${formatTime(item.createdAt)}: ${item.event}`);
+        const failed = events.filter(item => failures.includes(item.event))
+            .map(item => `* ${formatTime(item.createdAt)}: ${item.event}${!!(item.params || {}).error ? ` (${item.params.error})` : ''}`);
+        const deadline = deadlines[accession_id];
+        const upcoming = isUpcoming(deadline, now) ? [`* ${formatTime(deadline)}`] : [];
+        return [
+            `## ${name} #${accession_id}`,
+            ...[
+                ['Stage changes', stageChanges],
+                ['Uploads and downloads', uploads],
+                ['Failures', failed],
+                ['Upcoming deadline', upcoming],
+            ]
+                .filter(([title, lines]) => lines.length > 0)
+                .map(([title, lines]) => [`**${title}**`, '', ...lines].join('\n')),
+        ].join('\n\n');
+    }).join('\n\n');
+}
+
+module.exports = {
+    digestOptions,
+    nextDigestAt,
+    isDigestDue,
+    digestSummary,
+}
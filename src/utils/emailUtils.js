@@ -1,79 +1,33 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
 const { events } = require('../events');
+const { roles } = require('../roles');
 
 const nodemailer = require('nodemailer')
-const fs = require('fs');
-const showdown = require("showdown");
-const csvParse = require('csv-parse/lib/sync');
 
 const model = require('./modelUtils');
-
-function makeConverter(content, contentFill) {
-    function findTemplateTagsFromContent(content) {
-        let regexp = /{{([A-Za-z]+)}}/g;
-    
-        // we use a slice here because some browsers (firefox) don't support named capture groups in regexp
-        // we are able to use a slice here because the structure is always padded by both `{{` and `}}`
-        return content ? [...content.matchAll(regexp)].map(m => m[0] ? m[0].slice(2, -2) : "?") : [];
-    }
-    function makeExtensions(contentFill, valid_tags) {
-        let replacements = Object.entries(contentFill || {})
-        if (valid_tags) {
-            replacements = replacements.filter(fill => valid_tags.includes(fill[0]))
-        }
-        return replacements.map(filler => ({
-            type: "lang",
-            regex: `{{${filler[0]}}}`,
-            replace: filler[1]
-        }));
-    }
-
-    const valid_tags = findTemplateTagsFromContent(content);
-    const fill_extensions = makeExtensions(contentFill, valid_tags);
-    const converter = new showdown.Converter({
-        extensions: [
-            ...fill_extensions,
-        ]
-    });
-
-    return converter;
-}
+const templateUtils = require('./templateUtils');
+const { daysLeft } = require('./reminderUtils');
+const { logger } = require('./logUtils');
 
 function getEmail(messageType) {
-    try {
-        fs.accessSync(`templates/${messageType}.md`);
-        const emailTemplate = fs.readFileSync(`templates/${messageType}.md`).toString();
-        return emailTemplate;
-    } catch {
-        console.error(`file for ${messageType} doesn't exist or can't be accessed`);
-    }
-    return '';
-}
-
-function getEmailBodyToHTML(emailText, params) {
-    // TODO: check if params are in the schema?
-    return makeConverter(emailText, params).makeHtml(emailText);
+    return templateUtils.readTemplate(messageType);
 }
 
-let contacts = csvParse(fs.readFileSync('contacts/contacts.csv', 'utf-8').toString(), {
-    columns: true,
-    skip_empty_lines: true
-})
-
-function getTo() {
-    return contacts.filter(contact => contact.role === 'researcher').map(contact => contact.email);
-}
+// the recipients of an email are given by whoever sends it (see `model.notificationRecipients`)
 function getFrom() {
-    return contacts.filter(contact => contact.role === 'admin').map(contact => contact.email)[0];
+    return (loadedConfig.notifications || {}).from;
 }
 
-function setEmailOptions(emailSubject, emailContent, contactsRecieving=getTo(), contactsSending=getFrom()) {
+function setEmailOptions(emailSubject, emailContent, contactsRecieving=[], contactsSending=getFrom(), emailText) {
     let mailOptions = {}; 
 
-    // YAML Config?
-    mailOptions.to = contactsRecieving;   // TODO
-    mailOptions.from = contactsSending; // TODO
+    mailOptions.to = contactsRecieving;
+    mailOptions.from = contactsSending;
     mailOptions.subject = emailSubject;
     mailOptions.html = emailContent;
+    mailOptions.text = emailText;
 
     return mailOptions;
 }
@@ -97,24 +51,76 @@ function getEmailSubject(type) {
         [events.transfers.DOWNLOAD_START]: `Dataset is being downloaded`,
         [events.transfers.DOWNLOAD_SUCCESS]: `Successful download for dataset`,
         [events.transfers.DOWNLOAD_ERROR]: `Error in download for dataset`,
+        [events.transfers.DOWNLOAD_REMINDER]: `Reminder to download dataset`,
+        // dataset emails
+        [events.datasets.EMBARGO_LIFTED]: `Embargo lifted for dataset`,
         // user account emails
         [events.accounts.REGISTERED]: `Confirmation of registration`,
-        [events.accounts.REGISTERED_ADMIN]: `Confirmation new user registration`
+        [events.accounts.REGISTERED_ADMIN]: `Confirmation new user registration`,
+        [events.accounts.PASSWORD_RESET]: `Reset your password`,
+        // digests of the events above
+        [events.notifications.DIGEST]: `Your digest of data intake activity`,
     }
     return emailSubjects[type];
 }
 
-function writeEmailOptions(type, contentFill, broadcastTo) {
+// the email of a type, filled with the params, as HTML and plain text (see templateUtils)
+// `missing` lists the placeholders of the template that the params couldn't fill
+function renderEmail(type, contentFill) {
     const emailTemplate = getEmail(type);
-    if (emailTemplate !== '') {
-        const emailContent = getEmailBodyToHTML(emailTemplate, contentFill);
-        const emailSubject = getEmailSubject(type);
-        const emailOptions = setEmailOptions(emailSubject, emailContent, broadcastTo);
+    if (emailTemplate === '') {
+        return null;
+    }
+    return {
+        subject: getEmailSubject(type),
+        ...templateUtils.renderTemplate(emailTemplate, contentFill),
+    };
+}
+
+// an email whose template the params couldn't fill keeps the placeholders it's missing (`missing`), and is never sent:
+// it's left failed in the outbox instead, for an administrator to look into
+function writeEmailOptions(type, contentFill, broadcastTo) {
+    const email = renderEmail(type, contentFill);
+    if (email !== null) {
+        const emailOptions = setEmailOptions(email.subject, email.html, broadcastTo, undefined, email.text);
+        if (email.missing.length > 0) {
+            logger.warn('email is missing placeholders', { event: type, missing: email.missing });
+            emailOptions.missing = email.missing;
+        }
         return emailOptions;
     }
     return {};
 }
 
+// why the email can't be sent, or null if it can
+const unsendable = emailOptions => (emailOptions.missing || []).length > 0
+    ? `missing placeholders: ${emailOptions.missing.join(', ')}` : null;
+
+// e.g. 1.5 GB
+function formatSize(bytes) {
+    const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+    const exponent = Math.min(units.length - 1, Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1000)));
+    return `${exponent === 0 ? bytes : Number((bytes / 1000 ** exponent).toFixed(1))} ${units[exponent]}`;
+}
+
+// the params of the emails about an upload request (see the broker in actors.js)
+// the params of the status change come first, then the upload request, then what the templates say about its dataset;
+// what isn't known (no deadline, no files uploaded through the portal) is left out, for the templates to default
+function transferParams(params, { dataset, ...uploadRequest }, files = { count: 0, bytes: 0 }, now = new Date()) {
+    return {
+        ...params,
+        ...uploadRequest,
+        name: dataset.name,
+        accession_id: dataset.accession_id,
+        dataset,
+        datatype: dataset.datatype,
+        lastUpdated: dataset.updatedAt,
+        n: !!uploadRequest.deadline ? daysLeft(uploadRequest.deadline, now) : undefined,
+        file_number: files.count > 0 ? files.count : undefined,
+        file_size: files.count > 0 ? formatSize(files.bytes) : undefined,
+    };
+}
+
 async function makeTestEmailTransporter() {
     // Generate test SMTP service account from ethereal.email
     // Only needed if you don't have a real mail account for testing
@@ -133,7 +139,11 @@ async function makeTestEmailTransporter() {
     return transporter
 }
 
+// sends the email right away; everything else should go through `queueEmail`
 async function sendEmail(emailOptions, transporter) {
+    if (unsendable(emailOptions) !== null) {
+        throw new Error(unsendable(emailOptions));
+    }
     let _transporter = transporter;
     if (!!!_transporter) {
         _transporter = await makeTestEmailTransporter();
@@ -142,26 +152,51 @@ async function sendEmail(emailOptions, transporter) {
     // send mail with defined transport object
     let info = await _transporter.sendMail(emailOptions);
   
-    // Message sent: <b658f8ca-6296-ccf4-8306-87d57a0b4321@example.com>
-    console.log("Message sent: %s", info.messageId);
-  
     // Preview only available when sending through an Ethereal account
-    console.log("Preview URL: %s", nodemailer.getTestMessageUrl(info));
     // Preview URL: https://ethereal.email/message/WaQKMgKddxQDoou...
+    logger.info('email sent', { message_id: info.messageId, preview_url: nodemailer.getTestMessageUrl(info) || undefined });
+
+    return info;
 }
 
-async function sendRegisterConfirmationEmail(params, transporter) {
-    const administrators = await model.allUsers({ role: 'internal' });
-    const emails = administrators.map(administrator => administrator.email);
-    const emailOptions = writeEmailOptions('REGISTERED_ADMIN', params, emails);
-    console.log(administrators, emails, emailOptions)
+// store the email in the outbox, for the courier actor to send (see actors.js); one that can't be sent is stored dead
+// `cause` links the email to its event, and the dataset of the event: { event, accession_id, dataset_id }
+async function queueEmail(emailOptions, cause = {}) {
+    if (Object.keys(emailOptions).length === 0) {
+        return null;
+    }
+    return await model.queueEmail(emailOptions, cause, unsendable(emailOptions));
+}
 
-    return await sendEmail(emailOptions, transporter);
+async function sendRegisterConfirmationEmail(params) {
+    const administrators = await model.allUsers({ where: { role: roles.INTERNAL } });
+    const emails = await model.withoutOptedOut(administrators, events.accounts.REGISTERED_ADMIN);
+    const emailOptions = writeEmailOptions(events.accounts.REGISTERED_ADMIN, params, emails);
+
+    return await queueEmail(emailOptions, { event: events.accounts.REGISTERED_ADMIN });
+}
+
+// the new user is asked to confirm their account
+async function sendRegisteredEmail(params, email) {
+    const emailOptions = writeEmailOptions(events.accounts.REGISTERED, params, [email]);
+    return await queueEmail(emailOptions, { event: events.accounts.REGISTERED });
+}
+
+async function sendPasswordResetEmail(params, email) {
+    const emailOptions = writeEmailOptions(events.accounts.PASSWORD_RESET, params, [email]);
+    return await queueEmail(emailOptions, { event: events.accounts.PASSWORD_RESET });
 }
 
 module.exports = {
     makeTestEmailTransporter,
+    renderEmail,
     writeEmailOptions,
+    unsendable,
+    formatSize,
+    transferParams,
     sendEmail,
+    queueEmail,
     sendRegisterConfirmationEmail,
-}
\ No newline at end of file
+    sendRegisteredEmail,
+    sendPasswordResetEmail,
+}
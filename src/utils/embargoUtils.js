@@ -0,0 +1,47 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+// Embargoes: a dataset can be kept from others until its embargo date (`Dataset.embargo_date`)
+// * Until then, only its owner and internal users can see it (see `policyUtils.canSeeDataset`).
+// * The embargo ends by itself on the date; the embargo job (see actors.js) then records that it was lifted,
+//   and tells the submitter and the subscribers of the dataset, once.
+// * Changing the embargo date of a dataset puts it under embargo again, until the new date.
+// * Only embargoes that ended since the job last looked are announced. Those that ended before (like every embargo
+//   of the past, the first time the job runs) are recorded as lifted without telling anyone, so nobody hears of old releases.
+// * See the `embargoes` block of the configuration.
+
+/* Example:
+
+    isEmbargoed({ embargo_date: '2030-01-01' });                // => true, until 2030
+    daysUntil('2030-01-01', new Date('2029-12-30T12:00:00Z'));  // => 2
+
+*/
+
+const day = 24 * 60 * 60 * 1000;
+
+const embargoOptions = () => ({
+    check_every: 3600,
+    // embargoes ending within this many days are in the report
+    upcoming_days: 30,
+    ...(loadedConfig.embargoes || {}),
+});
+
+const hasEmbargoDate = dataset => !!dataset && dataset.embargo_date !== undefined && dataset.embargo_date !== null && dataset.embargo_date !== '';
+
+// dates that can't be read don't hide anything
+const isEmbargoed = (dataset, now = new Date()) => hasEmbargoDate(dataset) && new Date(dataset.embargo_date) > now;
+
+// the time after which ended embargoes are news: when the job last ran, or else when an embargo was last lifted,
+// or else (the first time ever) one check ago
+const announceSince = (last_tick, last_lift, now = new Date(), { check_every } = embargoOptions()) =>
+    last_tick || last_lift || new Date(now.getTime() - check_every * 1000);
+
+// whole days left, counting part of a day as a day
+const daysUntil = (date, now = new Date()) => Math.max(0, Math.ceil((new Date(date) - now) / day));
+
+module.exports = {
+    embargoOptions,
+    isEmbargoed,
+    announceSince,
+    daysUntil,
+}
@@ -0,0 +1,126 @@
+const csvUtils = require('./csvUtils');
+const { ZipWriter, drained } = require('./zipUtils');
+
+// Exports of dataset listings, as CSV, TSV, JSON lines or XLSX
+// * Every format is written a row at a time, so that large exports are streamed rather than kept in memory.
+// * A writer is opened on a stream (e.g. the response) with the columns, given rows (arrays of values, in the order of the columns),
+//   then ended. Rows resolve once the stream can take more, so that exports go at the pace of the client.
+// * XLSX is a zip of XML files (see zipUtils); cells are written inline, and dates as ISO 8601 text, like the CSV.
+// * Rows say which datasource they came from (`datasource`), since the `source` of a dataset is something else.
+// * Users choose the columns they want (`columns=datasource,name`), in their order, from those they may see (see app.js).
+
+/* Example:
+
+    const format = exportFormats.csv;
+    res.type(format.type).attachment(`datasets.${format.extension}`);
+    const writer = await format.open(res, ['accession_id', 'name']);
+    await writer.row(['DIG-000042R', 'Example GWAS']);
+    await writer.end();
+    res.end();
+
+*/
+
+const send = (output, chunk) => {
+    output.write(chunk);
+    return drained(output);
+};
+
+const delimitedWriter = delimiter => async (output, columns) => {
+    await send(output, csvUtils.delimitedLine(columns, delimiter));
+    return {
+        row: values => send(output, csvUtils.delimitedLine(values, delimiter)),
+        end: async () => {},
+    };
+};
+
+// one object per line, without the columns that have no value
+const jsonLinesWriter = async (output, columns) => ({
+    row: values => send(output, `${JSON.stringify(Object.fromEntries(
+        columns.map((column, index) => [column, values[index]]).filter(([, value]) => value !== undefined)
+    ))}\n`),
+    end: async () => {},
+});
+
+// characters XML 1.0 can't have, even escaped
+const xmlText = value => `${value}`
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const xlsxCell = value => value === null || value === undefined || value === '' ? '<c/>'
+    : typeof value === 'number' && Number.isFinite(value) ? `<c><v>${value}</v></c>`
+    : `<c t="inlineStr"><is><t xml:space="preserve">${xmlText(csvUtils.formatCell(value))}</t></is></c>`;
+
+const xlsxParts = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets><sheet name="Datasets" sheetId="1" r:id="rId1"/></sheets>'
+        + '</workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>',
+};
+
+const xlsxWriter = async (output, columns) => {
+    const zip = new ZipWriter(output);
+    for (const [name, content] of Object.entries(xlsxParts)) {
+        await zip.addFile(name, content);
+    }
+    const sheet = zip.openFile('xl/worksheets/sheet1.xml');
+    await sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+    const row = values => sheet.write(`<row>${values.map(xlsxCell).join('')}</row>`);
+    await row(columns);
+    return {
+        row,
+        end: async () => {
+            await sheet.write('</sheetData></worksheet>');
+            await sheet.close();
+            await zip.finish();
+        },
+    };
+};
+
+// what our own datasets are called in the `datasource` column, beside the labels of the other datasources (see aggregations)
+const localDatasource = 'Intake registry';
+
+// the columns asked for, from those available, in the order they were asked for; all that are available if none were
+function chooseColumns(available, requested) {
+    const chosen = `${requested || ''}`.split(',').map(column => column.trim()).filter(column => !!column);
+    if (chosen.length === 0) {
+        return [...available];
+    }
+    const unavailable = chosen.filter(column => !available.includes(column));
+    if (unavailable.length > 0) {
+        throw new Error(`cannot export ${unavailable.join(', ')}`);
+    }
+    return [...new Set(chosen)];
+}
+
+const exportFormats = Object.freeze({
+    csv: { type: 'text/csv', extension: 'csv', open: delimitedWriter(',') },
+    tsv: { type: 'text/tab-separated-values', extension: 'tsv', open: delimitedWriter('\t') },
+    jsonl: { type: 'application/x-ndjson', extension: 'jsonl', open: jsonLinesWriter },
+    xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx', open: xlsxWriter },
+});
+
+module.exports = {
+    localDatasource,
+    drained,
+    chooseColumns,
+    exportFormats,
+}
@@ -0,0 +1,15 @@
+const { lifecycle } = require('../lifecycle');
+
+// stages reachable in one move from the given stage
+// datasets registered before the lifecycle existed have no stage; treat them as newly registered
+const nextStages = from => lifecycle.transitions[from || lifecycle.initial] || [];
+
+const isStage = stage => Object.values(lifecycle.stages).includes(stage);
+
+const canTransition = (from, to) => isStage(to) && nextStages(from).includes(to);
+
+module.exports = {
+    nextStages,
+    isStage,
+    canTransition,
+}
@@ -0,0 +1,237 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const appRoot = require("app-root-path");
+
+// Structured logging
+// * Every entry is one line of JSON: `{ time, level, msg, ...fields }`, written to the console and/or a file.
+// * Entries below the configured level are dropped (debug < info < warn < error).
+// * Fields that look like secrets (passwords, tokens, salts, cookies...) are redacted, however deep they are.
+// * The file is rotated once it reaches `max_bytes`: intake.log becomes intake.log.1, and so on, keeping `max_files`.
+// * Requests get an ID (see `requestId`), which is carried by the messages of the actors (see actors.js),
+//   so that all the entries about a dataset's journey can be found together.
+// * See the `logging` block of the configuration.
+
+/* Example:
+
+    const { logger } = require('./logUtils');
+    const log = logger.child({ accession_id: 'EXAMPLE1' });
+    log.info('upload started', { upload_id });
+    log.error('upload failed', { error });     // errors are given with their message and stack
+
+*/
+
+const levels = Object.freeze({
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+});
+
+const loggingOptions = () => ({
+    level: 'info',
+    console: true,
+    file: null,
+    ...(loadedConfig.logging || {}),
+});
+
+// ids of secrets (like `token_id`) are safe to log
+const redactedKeys = /pass(word)?|token|secret|salt|hash|authorization|cookie|jti|csrf/i;
+const isRedactedKey = key => redactedKeys.test(key) && !/_id$/.test(key);
+const redactedText = /((?:token|password|secret)=)[^&\s"]+/gi;
+const REDACTED = '[REDACTED]';
+
+// a copy of the value, safe to log
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (value instanceof Error) {
+        return { name: value.name, message: redact(value.message), stack: value.stack };
+    }
+    if (value instanceof Date) {
+        return value;
+    }
+    if (typeof value === 'string') {
+        return value.replace(redactedText, `$1${REDACTED}`);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value) || depth > 8) {
+        return '[...]';
+    }
+    seen.add(value);
+    // Sequelize instances and the like
+    const object = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    if (Array.isArray(object)) {
+        return object.map(item => redact(item, depth + 1, seen));
+    }
+    if (object === null || typeof object !== 'object') {
+        return redact(object, depth + 1, seen);
+    }
+    return Object.fromEntries(Object.entries(object).map(([key, item]) => [
+        key,
+        isRedactedKey(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1, seen),
+    ]));
+}
+
+// appends lines to a file, moving it aside once it is too big
+class RotatingFile {
+
+    #path
+    #maxBytes
+    #maxFiles
+    #size
+
+    constructor({ path: file = 'logs/intake.log', max_bytes = 10 * 1024 * 1024, max_files = 5 }) {
+        this.#path = path.resolve(appRoot.toString(), file);
+        this.#maxBytes = max_bytes;
+        this.#maxFiles = max_files;
+        fs.mkdirSync(path.dirname(this.#path), { recursive: true });
+        try {
+            this.#size = fs.statSync(this.#path).size;
+        } catch {
+            this.#size = 0;
+        }
+    }
+
+    #rotate() {
+        for (let n = this.#maxFiles - 1; n > 0; n--) {
+            const from = n === 1 ? this.#path : `${this.#path}.${n - 1}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.#path}.${n}`);
+            }
+        }
+        if (this.#maxFiles <= 1) {
+            fs.rmSync(this.#path, { force: true });
+        }
+        this.#size = 0;
+    }
+
+    write(line) {
+        const bytes = Buffer.byteLength(line) + 1;
+        if (this.#size > 0 && this.#size + bytes > this.#maxBytes) {
+            this.#rotate();
+        }
+        fs.appendFileSync(this.#path, `${line}\n`);
+        this.#size += bytes;
+    }
+
+}
+
+function makeSinks(options = loggingOptions()) {
+    let sinks = [];
+    if (options.console) {
+        sinks.push({ write: (line, level) => (levels[level] >= levels.warn ? process.stderr : process.stdout).write(`${line}\n`) });
+    }
+    if (!!options.file) {
+        sinks.push(new RotatingFile(options.file));
+    }
+    return sinks;
+}
+
+class Logger {
+
+    #fields
+    #level
+    #sinks
+
+    constructor(fields = {}, { level = loggingOptions().level, sinks = makeSinks() } = {}) {
+        this.#fields = fields;
+        this.#level = levels[level] || levels.info;
+        this.#sinks = sinks;
+    }
+
+    // a logger that adds the fields to every entry, e.g. the ID of a request
+    child(fields = {}) {
+        return new Logger({ ...this.#fields, ...fields }, {
+            level: Object.keys(levels).find(level => levels[level] === this.#level),
+            sinks: this.#sinks,
+        });
+    }
+
+    log(level, msg, fields = {}) {
+        if (levels[level] < this.#level) {
+            return;
+        }
+        const entry = redact({
+            time: new Date(),
+            level,
+            msg: `${msg}`,
+            ...this.#fields,
+            ...(fields instanceof Error ? { error: fields } : fields),
+        });
+        const line = JSON.stringify(entry);
+        this.#sinks.forEach(sink => {
+            try {
+                sink.write(line, level);
+            } catch (error) {
+                process.stderr.write(`logging failed: ${error.message}\n`);
+            }
+        });
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+
+}
+
+const logger = new Logger();
+
+// for promises: `.catch(logError('sending failed', { accession_id }))`
+const logError = (msg, fields = {}, log = logger) => error => log.error(msg, { ...fields, error });
+
+// Express middleware: gives every request an ID (or keeps the one it came with, from a proxy),
+// a logger that adds it to every entry (`req.log`), and logs the request once it's answered
+const requestIdHeader = 'X-Request-Id';
+function requestId(req, res, next) {
+    const given = `${req.get(requestIdHeader) || ''}`;
+    req.id = /^[A-Za-z0-9._-]{8,64}$/.test(given) ? given : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.set(requestIdHeader, req.id);
+    const started = Date.now();
+    res.on('finish', () => {
+        req.log.info('request', {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            duration: Date.now() - started,
+            user_id: !!req.user ? req.user.id : null,
+        });
+    });
+    next();
+}
+
+// Express 4 leaves the errors of async routes unhandled (and their requests hanging): `app.get(path, asyncRoute(async (req, res) => ...))`
+// passes them on to `errorHandler` instead
+const asyncRoute = route => (req, res, next) => Promise.resolve(route(req, res, next)).catch(next);
+
+// the last middleware: logs what the routes failed with, and answers 500 unless they had started to answer
+function errorHandler(error, req, res, next) {
+    (req.log || logger).error('request failed', { method: req.method, path: req.path, error });
+    if (res.headersSent) {
+        // Express ends the response
+        return next(error);
+    }
+    res.sendStatus(500);
+}
+
+// for Sequelize's `logging` option: SQL is only logged at the debug level
+const sqlLogger = (sql, timing) => logger.debug('sql', { sql, duration: timing });
+
+module.exports = {
+    levels,
+    loggingOptions,
+    redact,
+    RotatingFile,
+    Logger,
+    logger,
+    logError,
+    requestId,
+    asyncRoute,
+    errorHandler,
+    sqlLogger,
+}
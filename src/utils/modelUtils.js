@@ -4,82 +4,63 @@ const loadedConfig = config.loadConfig();
 const authUtils = require("./authUtils")
 const merge = require("lodash.merge")
 const { events } = require('../events');
-const { Sequelize, Model, DataTypes } = require('sequelize');
+const { lifecycle } = require('../lifecycle');
+const { roles } = require('../roles');
+const { Sequelize, Model, DataTypes, Op } = require('sequelize');
+const { sqlLogger } = require('./logUtils');
+const revisionUtils = require('./revisionUtils');
+const accessionUtils = require('./accessionUtils');
+const searchUtils = require('./searchUtils');
+const embargoUtils = require('./embargoUtils');
 
 let sequelize = null;
 
 function initDB(rebuild = false) {
     if (rebuild) {
         User.sync({ force: true })
+        UserToken.sync({ force: true })
+        ApiToken.sync({ force: true })
         UserRole.sync({ force: true })
         DatasetState.sync({ force: true })
         DatasetSource.sync({ force: true })
         DatasetType.sync({ force: true })
         Dataset.sync({ force: true })
+        DatasetFile.sync({ force: true })
+        DatasetStageTransition.sync({ force: true })
+        DatasetRevision.sync({ force: true })
+        Accession.sync({ force: true })
+        Reminder.sync({ force: true })
+        DatasetUploadRequest.sync({ force: true })
+        DatasetUploadRequestHistory.sync({ force: true })
+        OutboxEmail.sync({ force: true })
+        Subscription.sync({ force: true })
+        NotificationPreference.sync({ force: true })
+        DigestSetting.sync({ force: true })
+        DigestItem.sync({ force: true })
     }
+    // the audit trail is append-only, so it outlives rebuilds: it's created when it doesn't exist yet, rebuilding or not
+    AuditEntry.sync()
+    return connect();
+}
+
+function connect() {
     if (loadedConfig.db.host === 'sqlite::memory:') {
         sequelize = new Sequelize(loadedConfig.db.host, {
-            logging: console.log
+            logging: sqlLogger,
+            benchmark: true,
         })
     } else {
         const { database, username, password, dialect, host } = loadedConfig.db;
         sequelize = new Sequelize(database, username, password, {
             dialect,
             host,
-            logging: console.log
+            logging: sqlLogger,
+            benchmark: true,
         })
     }
     return sequelize;
 }
-initDB();
-
-// const schemaDatasetUploadRequest = {
-//     name: DataTypes.STRING,
-//     version: {
-//         type: DataTypes.NUMBER,  // increment of upload version?
-//         defaultValue: 0
-//     },
-//     lastUpdated: {
-//         type: DataTypes.DATE,
-//         defaultValue: DataTypes.NOW,
-//     },  // ensure this is correct format at DB or client level?
-//     aspera: DataTypes.STRING,
-//     link: DataTypes.STRING,
-//     deadline: DataTypes.DATE,
-//     author: DataTypes.STRING,
-//     status: DataTypes.ENUM(Object.values(events.transfers)),
-// }
-// class DatasetUploadRequest extends Model {}
-// DatasetUploadRequest.init(schemaDatasetUploadRequest, { sequelize, modelName: 'dataset_uploads' })
-
-// async function initDB() {
-//     await DatasetUploadRequest.sync();    
-// }
-
-// async function putDatasetUploadRequestStatusChange(status, params) {
-//     console.log('using put with', status, params)
-//     const [datasetUploadRequest, created] = await DatasetUploadRequest.findOrCreate({
-//         where: { ...params },
-//     })
-//     // process status
-//     if (datasetUploadRequest.get('status') !== status) {
-//         console.log('updating status')
-//         await DatasetUploadRequest.update({ 
-//             status
-//         }, { where: { ...params } });
-//     }
-//     if (status === events.transfers.UPLOAD_REQUESTED) {
-//         console.log('incrementing version')
-//         await DatasetUploadRequest.update({ 
-//             version: datasetUploadRequest.version + 1,
-//         }, { where: { ...params } });
-//     }
-// }
-// async function getDatasetUploadRequest(properties) {
-//     return await DatasetUploadRequest.findOne({
-//         where: { ...properties }
-//     });
-// }
+connect();
 
 // an enum class
 function initEnumClass(sequelize, SequelizeModel, modelName, prop = 'name') {
@@ -126,8 +107,8 @@ User.init({
     },
     role: {
         // TODO: roles - how to generate them programatically? => reference another table => convert to FKEYS
-        type: DataTypes.ENUM(''),
-        defaultValue: '',
+        type: DataTypes.ENUM(Object.values(roles)),
+        defaultValue: roles.UPLOADER,
     },
     organization: {
         type: DataTypes.STRING,
@@ -139,9 +120,10 @@ User.init({
         type: DataTypes.STRING,
         defaultValue: '',
     },
+    // accounts are confirmed through a link sent to their email (see UserToken)
     confirmed: {
         type: DataTypes.BOOLEAN,
-        defaultValue: true,
+        defaultValue: false,
     }
 
 }, { sequelize, modelName: 'user', timestamps: false });
@@ -150,7 +132,7 @@ async function userExists(query) {
     return await User.findOne({ where: query })
 }
 
-async function registerUser({ username, password, name, email, role, organization, salt = authUtils.shakeSalt(), hash_function = loadedConfig.crypto.hash_implementation }) {
+async function registerUser({ username, password, name, email, role, organization, confirmed = false, salt = authUtils.shakeSalt(), hash_function = loadedConfig.crypto.hash_implementation }) {
     // TODO: guarantee that user IDs are UUIDs
     // should be generated in SQL
     if (!(await userExists({ username }))) {
@@ -163,6 +145,7 @@ async function registerUser({ username, password, name, email, role, organizatio
             hash_function: hash_function,
             email,
             role,
+            confirmed,
         });
         return user;
     } else {
@@ -170,6 +153,163 @@ async function registerUser({ username, password, name, email, role, organizatio
     }
 }
 
+// Users signing in with google are found by their google ID
+// * A google identity is linked to an existing, confirmed account with the same email, the first time it is used.
+// * Otherwise a new account is made, confirmed by google. It has no password, so it can only sign in with google.
+async function findOrCreateGoogleUser({ googleId, email, name }) {
+    const linkedUser = await userExists({ googleId });
+    if (linkedUser) {
+        return linkedUser;
+    }
+    if (!!email) {
+        const localUser = await userExists({ email, confirmed: true, googleId: '' });
+        if (localUser) {
+            return await localUser.update({ googleId });
+        }
+    }
+    const username = !!email && !(await userExists({ username: email })) ? email : `google-${googleId}`;
+    return await User.create({
+        username,
+        name,
+        email,
+        googleId,
+        confirmed: true,
+    });
+}
+
+// Single use, expiring tokens given to users by email (see authUtils.tokenPurposes)
+// * Only a hash of the nonce inside the signed token is stored.
+// * A token is consumed by using it, and is invalidated when another token with the same purpose replaces it.
+class UserToken extends Model {}
+UserToken.init({
+    user_id: DataTypes.INTEGER,
+    purpose: DataTypes.STRING,
+    token_hash: DataTypes.STRING,
+    expires_at: DataTypes.DATE,
+    consumed_at: DataTypes.DATE,
+}, { sequelize, modelName: 'user_tokens' });
+
+async function invalidateUserTokens(user_id, purpose) {
+    await UserToken.update({ consumed_at: new Date() }, { where: { user_id, purpose, consumed_at: null } });
+}
+
+// when a token for the purpose was last issued to the user, or null if one never was
+async function lastUserTokenIssuedAt(user_id, purpose) {
+    const token = await UserToken.findOne({ where: { user_id, purpose }, order: [['createdAt', 'DESC']], raw: true });
+    return token !== null ? token.createdAt : null;
+}
+
+// returns the signed token to send to the user
+async function issueUserToken(user, purpose, expires_in) {
+    const nonce = authUtils.shakeSalt(16);
+    await UserToken.create({
+        user_id: user.id,
+        purpose,
+        token_hash: authUtils.hashToken(nonce),
+        expires_at: new Date(Date.now() + expires_in * 1000),
+    });
+    return authUtils.signToken({ sub: user.id, purpose, nonce }, expires_in);
+}
+
+// returns the user the token was issued to, if the token is valid for the purpose, else null
+// the token can't be used again
+async function consumeUserToken(token, purpose) {
+    const payload = authUtils.verifyToken(token);
+    if (payload === null || payload.purpose !== purpose) {
+        return null;
+    }
+    const [consumed] = await UserToken.update({ consumed_at: new Date() }, {
+        where: {
+            user_id: payload.sub,
+            purpose,
+            token_hash: authUtils.hashToken(payload.nonce),
+            consumed_at: null,
+            expires_at: { [Op.gt]: new Date() },
+        }
+    });
+    return consumed === 1 ? await userExists({ id: payload.sub }) : null;
+}
+
+// a fresh salt with every new password
+// any outstanding password reset tokens can't be used afterwards
+async function changePassword(user, password, salt = authUtils.shakeSalt(), hash_function = loadedConfig.crypto.hash_implementation) {
+    await user.update({
+        password_salt: salt,
+        password_hash: authUtils.obscurePassword(password, hash_function, salt),
+        hash_function,
+    });
+    await invalidateUserTokens(user.id, authUtils.tokenPurposes.PASSWORD_RESET);
+    return user;
+}
+
+// Personal API tokens, given to scripts as bearer tokens (JWTs)
+// * The token itself is only shown once, when it is issued; only its ID (`jti`) is stored.
+// * Revoked or expired tokens are refused, even though their signature is still good.
+class ApiToken extends Model {}
+ApiToken.init({
+    user_id: DataTypes.INTEGER,
+    jti: {
+        type: DataTypes.STRING,
+        unique: true,
+    },
+    name: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    // space separated, like the `scope` claim of the token
+    scopes: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    expires_at: DataTypes.DATE,
+    revoked_at: DataTypes.DATE,
+    last_used_at: DataTypes.DATE,
+}, { sequelize, modelName: 'api_tokens' });
+
+// returns the stored token, and the JWT to give to the user
+async function issueApiToken(user, { name, scopes, expires_in }) {
+    const jti = authUtils.shakeSalt(16);
+    const apiToken = await ApiToken.create({
+        user_id: user.id,
+        jti,
+        name,
+        scopes: scopes.join(' '),
+        expires_at: new Date(Date.now() + expires_in * 1000),
+    });
+    const token = authUtils.signJWT({ sub: user.id, jti, scope: apiToken.scopes }, expires_in);
+    return { apiToken, token };
+}
+
+async function activeApiToken({ jti, user_id }) {
+    return await ApiToken.findOne({
+        where: {
+            jti,
+            user_id,
+            revoked_at: null,
+            expires_at: { [Op.gt]: new Date() },
+        }
+    });
+}
+
+async function allApiTokens(user_id) {
+    return await ApiToken.findAll({
+        where: { user_id },
+        attributes: { exclude: ['jti'] },
+        order: [['createdAt', 'DESC']],
+        raw: true,
+    });
+}
+
+// returns false if the user has no such token
+async function revokeApiToken(user_id, id) {
+    const [revoked] = await ApiToken.update({ revoked_at: new Date() }, { where: { id, user_id, revoked_at: null } });
+    return revoked === 1;
+}
+
+async function confirmUser(user) {
+    return await user.update({ confirmed: true });
+}
+
 class DatasetState extends Model {}
 // DatasetState.init({ state: { type: DataTypes.STRING, defaultValue: '' } }, { sequelize, modelName: 'dataset_state' });
 initEnumClass(sequelize, DatasetState, 'dataset_state', 'state');
@@ -187,9 +327,11 @@ class Dataset extends Model {}
 const datasetSchema = {
     // database mechanics
     user_id: DataTypes.STRING,
+    // issued by `issueAccession`, and never changed
     accession_id: {
         type: DataTypes.STRING,
         defaultValue: '',
+        unique: true,
     },
     name: {
         type: DataTypes.STRING,
@@ -233,6 +375,8 @@ const datasetSchema = {
     },
 
     embargo_date: DataTypes.DATE,
+    // when the embargo job noticed the embargo date had passed (see embargoUtils)
+    embargo_lifted_at: DataTypes.DATE,
 
     // e.g. Terra Bucket
     location: {
@@ -246,7 +390,8 @@ const datasetSchema = {
     }
 
 };
-Dataset.init(datasetSchema, { sequelize, modelName: 'datasets', timestamps: false })
+// timestamps tell when a dataset was registered, and last changed (see DatasetRevision for what changed)
+Dataset.init(datasetSchema, { sequelize, modelName: 'datasets' })
 
 // this is a specially implemented call for getting datasets because they have specific visibility constraints
 // function allDatasets(query) {
@@ -254,15 +399,103 @@ Dataset.init(datasetSchema, { sequelize, modelName: 'datasets', timestamps: fals
 //     return async args => await Dataset.findAll(merge({ where: { visible: 1 }}), args);
 // }
 
-async function registerDataset({ accession_id, user_id, name, organization, description, provider, principal_investigator, source, status, datatype, embargo_date }) {
-    const datasetExists = await Dataset.findOne({ where: { accession_id } }) !== null;
-    const initialDatasetStatus = await (await DatasetState.findOne({ where: { id: 0 } })).getDataValue('state');
-    if (!datasetExists) {
+// Every move of a dataset between lifecycle stages, including the one into its first stage
+// The allowed moves are given in src/lifecycle.js, and checked before getting here (see lifecycleUtils)
+class DatasetStageTransition extends Model {}
+DatasetStageTransition.init({
+    accession_id: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    from_stage: DataTypes.STRING,
+    to_stage: DataTypes.STRING,
+    user_id: DataTypes.STRING,
+    note: {
+        type: DataTypes.TEXT,
+        defaultValue: '',
+    },
+}, { sequelize, modelName: 'dataset_stage_transitions', updatedAt: false });
+
+async function transitionDataset(dataset, to_stage, user_id, note = '') {
+    return await Dataset.sequelize.transaction(async transaction => {
+        const transition = await DatasetStageTransition.create({
+            accession_id: dataset.accession_id,
+            from_stage: dataset.status || null,
+            to_stage,
+            user_id,
+            note,
+        }, { transaction });
+        await dataset.update({ status: to_stage }, { transaction });
+        return transition;
+    });
+}
+
+async function datasetStageHistory(accession_id) {
+    return await DatasetStageTransition.findAll({
+        where: { accession_id },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        raw: true,
+    });
+}
+
+// the stage transitions of some datasets, over a period
+async function stageTransitionsBetween(accession_ids, since, until = new Date()) {
+    return await DatasetStageTransition.findAll({
+        where: { accession_id: accession_ids, createdAt: { [Op.gt]: since, [Op.lte]: until } },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        raw: true,
+    });
+}
+
+// Every accession ever issued (see accessionUtils)
+// * Sequential accessions are numbered by the id of their row, so no two instances of the app can issue the same one.
+// * Random accessions are kept unique by the unique index; one that collides is thrown away, and another tried.
+// * Accessions aren't reused, even when the dataset they were issued for couldn't be registered.
+class Accession extends Model {}
+Accession.init({
+    accession: {
+        type: DataTypes.STRING,
+        unique: true,
+    },
+    dataset_id: DataTypes.INTEGER,
+}, {
+    sequelize,
+    modelName: 'accessions',
+    updatedAt: false,
+});
+
+async function issueAccession(options = accessionUtils.accessionOptions()) {
+    for (let attempt = 0; attempt < options.attempts; attempt++) {
+        let issued = null;
+        try {
+            if (options.body === accessionUtils.accessionBodies.RANDOM) {
+                const accession = accessionUtils.makeAccession(accessionUtils.randomBody(options), options);
+                issued = await Accession.create({ accession });
+            } else {
+                issued = await Accession.create({ accession: null });
+                await issued.update({ accession: accessionUtils.makeAccession(accessionUtils.sequentialBody(issued.id, options), options) });
+            }
+        } catch (error) {
+            if (error instanceof Sequelize.UniqueConstraintError) {
+                continue;
+            }
+            throw error;
+        }
+        // datasets registered before accessions were issued have accessions of their own, which may look like ours
+        if (await Dataset.findOne({ where: { accession_id: issued.accession } }) === null) {
+            return issued.accession;
+        }
+    }
+    throw new Error(`issueAccession: no unique accession after ${options.attempts} attempts`);
+}
+
+// the accession is issued here, and never changes: not with the name of the dataset, nor with its versions
+async function registerDataset({ user_id, name, organization, description, provider, principal_investigator, source, status, datatype, embargo_date }) {
+    const accession_id = await issueAccession();
+    return await Dataset.sequelize.transaction(async transaction => {
         const dataset = await Dataset.create({
             accession_id,
             user_id,
-            // accessions should either be generated here or within SQL
-            // only constraint is that it must be a file-system compatible string (SO: keep it alphanumeric)
             name,
             organization,
             principal_investigator,
@@ -271,11 +504,921 @@ async function registerDataset({ accession_id, user_id, name, organization, desc
             source,
             datatype,
             embargo_date,
-            status: initialDatasetStatus, // all datasets are initialized in state 0
-        });
+            status: lifecycle.initial, // all datasets begin in the first stage of the lifecycle
+        }, { transaction });
+        await Accession.update({ dataset_id: dataset.id }, { where: { accession: accession_id }, transaction });
+        await DatasetStageTransition.create({
+            accession_id,
+            from_stage: null,
+            to_stage: lifecycle.initial,
+            user_id,
+        }, { transaction });
+        await recordRevision(dataset, user_id, { note: 'registered' }, transaction);
         return dataset;
-    } else {
-        return null;
+    });
+}
+
+// search: see `searchUtils.parseSearch`; visibleWhere: the datasets the user may see (see `policyUtils.visibleDatasetsWhere`)
+async function searchDatasetsWhere(search, visibleWhere = {}, user = null) {
+    const transitionsWhere = searchUtils.stagedWhere(search);
+    const staged = transitionsWhere === null ? [] : [{
+        accession_id: (await DatasetStageTransition.findAll({ where: transitionsWhere, attributes: ['accession_id'], raw: true }))
+            .map(transition => transition.accession_id),
+    }];
+    return { [Op.and]: [visibleWhere, searchUtils.searchWhere(search, user), ...staged] };
+}
+
+// total counts the datasets the user may see, matched those of the search
+async function searchDatasets(search, visibleWhere = {}, user = null) {
+    const where = await searchDatasetsWhere(search, visibleWhere, user);
+    const total = await Dataset.count({ where: visibleWhere });
+    const matched = await Dataset.count({ where });
+    // one more than asked for, to know if there's a page after this one
+    const rows = await Dataset.findAll({
+        where: search.after !== null ? { [Op.and]: [where, searchUtils.afterWhere(search)] } : where,
+        order: searchUtils.searchOrder(search),
+        limit: search.limit + 1,
+        offset: search.after !== null ? 0 : search.offset,
+        raw: true,
+    });
+    const datasets = rows.slice(0, search.limit);
+    return {
+        datasets,
+        total,
+        matched,
+        next_cursor: rows.length > search.limit ? searchUtils.nextCursor(search, datasets[datasets.length - 1]) : null,
+    };
+}
+
+// every dataset of a search, `size` at a time, for exports: `for await (const datasets of searchDatasetBatches(...))`
+// each batch is found after the last, like the pages of a cursor, so no dataset is skipped or repeated
+async function* searchDatasetBatches(search, visibleWhere = {}, user = null, size = 500) {
+    const where = await searchDatasetsWhere(search, visibleWhere, user);
+    let batch = { ...search, limit: size, offset: 0, after: null };
+    while (true) {
+        const datasets = await Dataset.findAll({
+            where: batch.after !== null ? { [Op.and]: [where, searchUtils.afterWhere(batch)] } : where,
+            order: searchUtils.searchOrder(batch),
+            limit: size,
+            raw: true,
+        });
+        if (datasets.length > 0) {
+            yield datasets;
+        }
+        if (datasets.length < size) {
+            return;
+        }
+        batch = { ...batch, after: searchUtils.cursorValues(batch, datasets[datasets.length - 1]) };
+    }
+}
+
+// Revisions of the metadata of datasets (see revisionUtils)
+class DatasetRevision extends Model {}
+DatasetRevision.init({
+    dataset_id: DataTypes.INTEGER,
+    accession_id: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    // counts up from 1 for each dataset
+    revision: DataTypes.INTEGER,
+    user_id: DataTypes.STRING,
+    // { <property>: { from, to } }; empty for the first revision
+    changes: DataTypes.JSON,
+    // the revisable properties after the revision
+    snapshot: DataTypes.JSON,
+    note: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    // the revision this one brought back, if it is a restore
+    restored_from: DataTypes.INTEGER,
+}, {
+    sequelize,
+    modelName: 'dataset_revisions',
+    updatedAt: false,
+    indexes: [{ unique: true, fields: ['dataset_id', 'revision'] }],
+});
+
+async function recordRevision(dataset, user_id, { changes = {}, note = '', restored_from = null } = {}, transaction) {
+    const latest = await DatasetRevision.max('revision', { where: { dataset_id: dataset.id }, transaction });
+    return await DatasetRevision.create({
+        dataset_id: dataset.id,
+        accession_id: dataset.accession_id,
+        revision: (latest || 0) + 1,
+        user_id,
+        changes,
+        snapshot: revisionUtils.snapshotOf(dataset),
+        note,
+        restored_from,
+    }, { transaction });
+}
+
+// empty values are stored the way the schema stores them by default
+const storedValue = (property, value) => value !== null ? value
+    : property === 'embargo_date' ? null
+    : property === 'visible' ? 1
+    : '';
+
+// change the metadata of a dataset, keeping the change as a revision
+// the dataset is locked until the revision is kept, so that updates made at the same time are numbered one after the other,
+// and each is compared with the dataset as the one before left it
+// returns the revision, or null if nothing changed
+async function updateDataset(given, values, user_id, { note = '', restored_from = null } = {}) {
+    return await Dataset.sequelize.transaction(async transaction => {
+        const dataset = await Dataset.findByPk(given.id, { transaction, lock: transaction.LOCK.UPDATE });
+        // datasets from before revisions were kept get theirs, as they are now
+        const revisions = await DatasetRevision.count({ where: { dataset_id: dataset.id }, transaction });
+        if (revisions === 0) {
+            await recordRevision(dataset, dataset.user_id, { note: 'before revisions were kept' }, transaction);
+        }
+        const changes = revisionUtils.diffValues(dataset, values);
+        if (Object.keys(changes).length === 0) {
+            return null;
+        }
+        await dataset.update({
+            ...Object.fromEntries(Object.entries(changes).map(([property, { to }]) => [property, storedValue(property, to)])),
+            // a new embargo date is a new embargo
+            ...(!!changes.embargo_date ? { embargo_lifted_at: null } : {}),
+        }, { transaction });
+        return await recordRevision(dataset, user_id, { changes, note, restored_from }, transaction);
+    });
+}
+
+async function datasetRevisions(dataset_id) {
+    return await DatasetRevision.findAll({
+        where: { dataset_id },
+        order: [['revision', 'ASC']],
+        raw: true,
+    });
+}
+
+async function datasetRevision(dataset_id, revision) {
+    return await DatasetRevision.findOne({ where: { dataset_id, revision }, raw: true });
+}
+
+// Embargoes (see embargoUtils)
+// the datasets whose embargo date has passed, but haven't been told about it
+async function dueEmbargoes(now = new Date()) {
+    return await Dataset.findAll({
+        where: {
+            embargo_date: { [Op.lte]: now },
+            embargo_lifted_at: null,
+        },
+        order: [['embargo_date', 'ASC']],
+    });
+}
+
+// true if this call lifted the embargo, false if another did first
+async function liftEmbargo(dataset, now = new Date()) {
+    const [claimed] = await Dataset.update(
+        { embargo_lifted_at: now },
+        { where: { id: dataset.id, embargo_lifted_at: null } }
+    );
+    return claimed === 1;
+}
+
+// when an embargo was last lifted, or null if none ever was
+async function lastEmbargoLift() {
+    return await Dataset.max('embargo_lifted_at') || null;
+}
+
+// the datasets whose embargo ends between the two dates
+async function upcomingEmbargoes(from, until) {
+    return await Dataset.findAll({
+        where: { embargo_date: { [Op.gt]: from, [Op.lte]: until } },
+        order: [['embargo_date', 'ASC']],
+        raw: true,
+    });
+}
+
+// Files uploaded against a dataset, tracked by the upload session that is writing them
+// The bytes received are kept as a hint for clients; the file on disk is the source of truth (see uploadUtils)
+class DatasetFile extends Model {}
+DatasetFile.init({
+    upload_id: {
+        type: DataTypes.STRING,
+        unique: true,
+    },
+    accession_id: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    user_id: DataTypes.STRING,
+    filename: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    bytes_expected: {
+        type: DataTypes.BIGINT,
+        defaultValue: 0,
+    },
+    bytes_received: {
+        type: DataTypes.BIGINT,
+        defaultValue: 0,
+    },
+    status: {
+        type: DataTypes.ENUM([
+            events.transfers.UPLOAD_REQUESTED,
+            events.transfers.UPLOAD_START,
+            events.transfers.UPLOAD_SUCCESS,
+            events.transfers.UPLOAD_ERROR,
+        ]),
+        defaultValue: events.transfers.UPLOAD_REQUESTED,
+    },
+}, { sequelize, modelName: 'dataset_files' });
+
+async function datasetExists(query) {
+    return await Dataset.findOne({ where: query });
+}
+
+async function fileUploadExists(query) {
+    return await DatasetFile.findOne({ where: query });
+}
+
+// an upload is resumed (not recreated) when the same user offers the same file for the same dataset again before it completes
+// (another user offering it starts an upload of their own)
+async function registerFileUpload({ upload_id, accession_id, user_id, filename, bytes_expected }) {
+    const pendingUpload = await DatasetFile.findOne({
+        where: {
+            accession_id,
+            user_id: `${user_id}`,
+            filename,
+            bytes_expected,
+            status: [events.transfers.UPLOAD_REQUESTED, events.transfers.UPLOAD_START],
+        }
+    });
+    if (pendingUpload !== null) {
+        return pendingUpload;
+    }
+    return await DatasetFile.create({
+        upload_id,
+        accession_id,
+        user_id,
+        filename,
+        bytes_expected,
+        status: events.transfers.UPLOAD_REQUESTED,
+    });
+}
+
+async function updateFileUpload(upload_id, properties) {
+    await DatasetFile.update(properties, { where: { upload_id } });
+    return await fileUploadExists({ upload_id });
+}
+
+// the last upload of each file of the dataset
+async function latestFileUploads(accession_id) {
+    const uploads = await DatasetFile.findAll({ where: { accession_id }, order: [['id', 'ASC']], raw: true });
+    return Object.values(Object.fromEntries(uploads.map(upload => [upload.filename, upload])));
+}
+
+// true once every file of the dataset is uploaded: the last upload of each file succeeded, and none is still going
+async function allFileUploadsSucceeded(accession_id) {
+    const latest = await latestFileUploads(accession_id);
+    return latest.every(upload => upload.status === events.transfers.UPLOAD_SUCCESS);
+}
+
+// how many files of the dataset were uploaded through the portal, and their size => { count, bytes }
+// (files sent through a transfer provider aren't counted)
+async function fileUploadTotals(accession_id) {
+    const uploaded = (await latestFileUploads(accession_id)).filter(upload => upload.status === events.transfers.UPLOAD_SUCCESS);
+    return { count: uploaded.length, bytes: uploaded.reduce((bytes, upload) => bytes + Number(upload.bytes_expected), 0) };
+}
+
+// the bytes received only ever go up, so that chunks finishing out of order can't set them back
+// => [whether this chunk moved the upload on, the upload]
+async function recordFileUploadProgress(upload_id, bytes_received, status) {
+    const [updated] = await DatasetFile.update({ bytes_received, status }, {
+        where: { upload_id, bytes_received: { [Op.lt]: bytes_received } },
+    });
+    return [updated === 1, await fileUploadExists({ upload_id })];
+}
+
+// Requests to upload (a new version of) a dataset, and how the transfer of it is going
+// * There is one upload request per dataset; its version increases every time an upload is requested again.
+// * Every status change is written to the history of the request, with the version it happened to.
+// * The status is one of `events.transfers`, as given to the broker actor (see actors.js).
+const schemaDatasetUploadRequest = {
+    dataset_id: DataTypes.INTEGER,
+    version: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+    },
+    // the session of the transfer provider (Aspera, Globus, a local directory), named for the email templates
+    aspera: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    link: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    deadline: DataTypes.DATE,
+    author: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    status: DataTypes.ENUM(Object.values(events.transfers)),
+}
+class DatasetUploadRequest extends Model {}
+DatasetUploadRequest.init(schemaDatasetUploadRequest, { sequelize, modelName: 'dataset_uploads' })
+
+class DatasetUploadRequestHistory extends Model {}
+DatasetUploadRequestHistory.init({
+    upload_request_id: DataTypes.INTEGER,
+    version: DataTypes.INTEGER,
+    status: DataTypes.ENUM(Object.values(events.transfers)),
+}, { sequelize, modelName: 'dataset_upload_history', updatedAt: false })
+
+// no database constraints, so that tables can be rebuilt independently (see initDB)
+DatasetUploadRequest.belongsTo(Dataset, { foreignKey: 'dataset_id', constraints: false });
+Dataset.hasMany(DatasetUploadRequest, { foreignKey: 'dataset_id', constraints: false });
+
+// the properties of an upload request that can be given with a status change
+const uploadRequestProperties = ['aspera', 'link', 'deadline', 'author'];
+
+// params: { accession_id, ...properties of the upload request to update }
+async function putDatasetUploadRequestStatusChange(status, params) {
+    const dataset = await Dataset.findOne({ where: { accession_id: params.accession_id } });
+    if (dataset === null) {
+        throw new Error(`putDatasetUploadRequestStatusChange: no dataset with accession_id ${params.accession_id}`);
+    }
+    return await DatasetUploadRequest.sequelize.transaction(async transaction => {
+        const [datasetUploadRequest] = await DatasetUploadRequest.findOrCreate({
+            where: { dataset_id: dataset.id },
+            transaction,
+        });
+        let changes = { status };
+        uploadRequestProperties
+            .filter(property => params[property] !== undefined)
+            .forEach(property => changes[property] = params[property]);
+        if (status === events.transfers.UPLOAD_REQUESTED) {
+            changes.version = datasetUploadRequest.version + 1;
+        }
+        await datasetUploadRequest.update(changes, { transaction });
+        await DatasetUploadRequestHistory.create({
+            upload_request_id: datasetUploadRequest.id,
+            version: datasetUploadRequest.version,
+            status,
+        }, { transaction });
+        return datasetUploadRequest;
+    });
+}
+
+// the upload request of a dataset, with the dataset
+async function getDatasetUploadRequest({ accession_id }) {
+    return await DatasetUploadRequest.findOne({
+        include: [{ model: Dataset, where: { accession_id } }],
+    });
+}
+
+async function datasetUploadRequestHistory(upload_request_id) {
+    return await DatasetUploadRequestHistory.findAll({
+        where: { upload_request_id },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+        raw: true,
+    });
+}
+
+// Reminders to download a dataset, sent by the timer actor (see actors.js and reminderUtils)
+// * A reminder is claimed (`sent_at`) before it is sent, and a claim only succeeds once, so it is never sent twice.
+// * Reminders are unique per upload request and time, so scheduling the same reminders again adds nothing.
+class Reminder extends Model {}
+Reminder.init({
+    upload_request_id: DataTypes.INTEGER,
+    accession_id: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    send_at: DataTypes.DATE,
+    deadline: DataTypes.DATE,
+    // the upload request the reminder is about, to fill the email with
+    params: DataTypes.JSON,
+    sent_at: DataTypes.DATE,
+    cancelled_at: DataTypes.DATE,
+}, {
+    sequelize,
+    modelName: 'reminders',
+    indexes: [{ unique: true, fields: ['upload_request_id', 'send_at'] }],
+});
+
+async function scheduleReminders({ upload_request_id, accession_id, deadline, params }, times) {
+    return await Reminder.bulkCreate(
+        times.map(send_at => ({ upload_request_id, accession_id, deadline, send_at, params })),
+        { ignoreDuplicates: true }
+    );
+}
+
+async function cancelReminders(where) {
+    const [cancelled] = await Reminder.update({ cancelled_at: new Date() }, {
+        where: { ...where, sent_at: null, cancelled_at: null }
+    });
+    return cancelled;
+}
+
+// reminders that are due and still worth sending
+// if several are due for the same upload request (say, after downtime), only the latest is sent; the rest are cancelled
+async function dueReminders(now = new Date()) {
+    await cancelReminders({ deadline: { [Op.lte]: now } });
+    const due = await Reminder.findAll({
+        where: { send_at: { [Op.lte]: now }, sent_at: null, cancelled_at: null },
+        order: [['send_at', 'ASC']],
+    });
+    const latest = new Map(due.map(reminder => [reminder.upload_request_id, reminder]));
+    const skipped = due.filter(reminder => latest.get(reminder.upload_request_id) !== reminder).map(reminder => reminder.id);
+    if (skipped.length > 0) {
+        await cancelReminders({ id: skipped });
+    }
+    return [...latest.values()];
+}
+
+// true if this caller gets to send the reminder
+async function claimReminder(reminder) {
+    const [claimed] = await Reminder.update({ sent_at: new Date() }, {
+        where: { id: reminder.id, sent_at: null, cancelled_at: null }
+    });
+    return claimed === 1;
+}
+
+// The outbox: every email is stored before it is sent, then sent by the courier actor (see actors.js and outboxUtils)
+// * An email is claimed (SENDING) before it is sent, and a claim only succeeds once, so it is never sent twice.
+// * A failed email is tried again later, until it has been tried too many times; then it is DEAD, until an admin resends it.
+// * Emails are linked to the event that caused them, and to its dataset, if there is one.
+const outboxStatuses = Object.freeze({
+    PENDING: 'PENDING',
+    SENDING: 'SENDING',
+    SENT: 'SENT',
+    DEAD: 'DEAD',
+});
+
+class OutboxEmail extends Model {}
+OutboxEmail.init({
+    event: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    accession_id: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    dataset_id: DataTypes.INTEGER,
+    // the options given to nodemailer (to, from, subject, html, text)
+    options: DataTypes.JSON,
+    status: {
+        type: DataTypes.ENUM(Object.values(outboxStatuses)),
+        defaultValue: outboxStatuses.PENDING,
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+    },
+    next_attempt_at: DataTypes.DATE,
+    last_error: DataTypes.TEXT,
+    message_id: DataTypes.STRING,
+    sent_at: DataTypes.DATE,
+}, {
+    sequelize,
+    modelName: 'email_outbox',
+    indexes: [{ fields: ['status', 'next_attempt_at'] }],
+});
+
+// `error`: why the email can't be sent, if it can't; it's then stored dead, without ever being tried
+async function queueEmail(options, { event = '', accession_id = '', dataset_id = null } = {}, error = null) {
+    return await OutboxEmail.create({
+        event,
+        accession_id: accession_id || '',
+        dataset_id,
+        options,
+        ...(error === null ? { next_attempt_at: new Date() } : { status: outboxStatuses.DEAD, next_attempt_at: null, last_error: error }),
+    });
+}
+
+// emails that are due to be sent
+// emails left SENDING since `stuckBefore` (say, by a crash while sending) are due again
+async function dueEmails(now = new Date(), stuckBefore = now, limit = 50) {
+    await OutboxEmail.update({ status: outboxStatuses.PENDING }, {
+        where: { status: outboxStatuses.SENDING, updatedAt: { [Op.lte]: stuckBefore } }
+    });
+    return await OutboxEmail.findAll({
+        where: { status: outboxStatuses.PENDING, next_attempt_at: { [Op.lte]: now } },
+        order: [['next_attempt_at', 'ASC'], ['id', 'ASC']],
+        limit,
+    });
+}
+
+// true if this caller gets to send the email
+async function claimEmail(outboxEmail) {
+    const [claimed] = await OutboxEmail.update({
+        status: outboxStatuses.SENDING,
+        attempts: outboxEmail.attempts + 1,
+    }, {
+        where: { id: outboxEmail.id, status: outboxStatuses.PENDING, attempts: outboxEmail.attempts }
+    });
+    return claimed === 1;
+}
+
+async function markEmailSent(outboxEmail, message_id = null) {
+    return await OutboxEmail.update({
+        status: outboxStatuses.SENT,
+        sent_at: new Date(),
+        message_id,
+        last_error: null,
+    }, { where: { id: outboxEmail.id } });
+}
+
+// with no next attempt, the email is dead
+async function markEmailFailed(outboxEmail, error, next_attempt_at = null) {
+    return await OutboxEmail.update({
+        status: !!next_attempt_at ? outboxStatuses.PENDING : outboxStatuses.DEAD,
+        next_attempt_at,
+        last_error: `${error}`,
+    }, { where: { id: outboxEmail.id } });
+}
+
+// the emails of the outbox, newest first, without their contents
+async function outboxEmails(where = {}, limit = 100) {
+    return await OutboxEmail.findAll({
+        where,
+        attributes: { exclude: ['options'] },
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        raw: true,
+    });
+}
+
+async function outboxEmail(id) {
+    return await OutboxEmail.findOne({ where: { id }, raw: true });
+}
+
+// give a dead email another round of attempts
+async function resendEmail(id) {
+    const [resent] = await OutboxEmail.update({
+        status: outboxStatuses.PENDING,
+        attempts: 0,
+        next_attempt_at: new Date(),
+    }, { where: { id, status: outboxStatuses.DEAD } });
+    return resent === 1;
+}
+
+// Who is told about what happens to a dataset
+// * The submitter of the dataset, its PI (if they have an account or an email address), the admins of its organization,
+//   and the users watching the dataset or its organization (subscriptions).
+// * Each user can turn off the events they don't want to hear about (preferences); all events are on until they do.
+// * Each user can also choose to hear about an event in their digest instead of right away (see digestUtils).
+// * Only the events of datasets can be turned off; emails about accounts (like password resets) are always sent.
+// * Nobody is told about a dataset they can't see (given as `canSee`, see `policyUtils.canSeeDataset`);
+//   a PI without an account is only told about datasets that are neither hidden nor under embargo.
+const notifiableEvents = Object.freeze([
+    ...Object.values(events.transfers),
+    ...Object.values(events.datasets),
+    ...Object.values(events.links),
+]);
+
+// a subscription is to a dataset (`accession_id`) or to an organization
+class Subscription extends Model {}
+Subscription.init({
+    user_id: DataTypes.INTEGER,
+    accession_id: DataTypes.STRING,
+    organization: DataTypes.STRING,
+}, {
+    sequelize,
+    modelName: 'subscriptions',
+    updatedAt: false,
+    indexes: [{ fields: ['user_id'] }, { fields: ['accession_id'] }, { fields: ['organization'] }],
+});
+
+class NotificationPreference extends Model {}
+const deliveries = Object.freeze({
+    IMMEDIATE: 'IMMEDIATE',
+    DIGEST: 'DIGEST',
+});
+
+NotificationPreference.init({
+    user_id: DataTypes.INTEGER,
+    event: DataTypes.STRING,
+    enabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+    },
+    delivery: {
+        type: DataTypes.ENUM(Object.values(deliveries)),
+        defaultValue: deliveries.IMMEDIATE,
+    },
+}, {
+    sequelize,
+    modelName: 'notification_preferences',
+    indexes: [{ unique: true, fields: ['user_id', 'event'] }],
+});
+
+async function subscribe(user_id, { accession_id = null, organization = null }) {
+    const [subscription] = await Subscription.findOrCreate({
+        where: { user_id, accession_id, organization },
+    });
+    return subscription;
+}
+
+async function unsubscribe(user_id, id) {
+    return await Subscription.destroy({ where: { user_id, id } });
+}
+
+async function userSubscriptions(user_id) {
+    return await Subscription.findAll({ where: { user_id }, order: [['id', 'ASC']], raw: true });
+}
+
+// { <event>: { enabled, delivery } } for every notifiable event
+async function userPreferences(user_id) {
+    const preferences = await NotificationPreference.findAll({ where: { user_id } });
+    return Object.fromEntries(notifiableEvents.map(event => {
+        const preference = preferences.find(preference => preference.event === event);
+        return [event, {
+            enabled: !preference || preference.enabled,
+            delivery: !!preference ? preference.delivery : deliveries.IMMEDIATE,
+        }];
+    }));
+}
+
+// changes: { <event>: true | false | { enabled, delivery } }; events that can't be turned off are ignored
+async function setUserPreferences(user_id, changes = {}) {
+    const changedEvents = Object.keys(changes).filter(event => notifiableEvents.includes(event));
+    for (const event of changedEvents) {
+        const change = changes[event] !== null && typeof changes[event] === 'object' ? changes[event] : { enabled: changes[event] };
+        const [preference] = await NotificationPreference.findOrCreate({ where: { user_id, event } });
+        await preference.update({
+            ...(change.enabled !== undefined ? { enabled: !!change.enabled && change.enabled !== 'false' } : {}),
+            ...(Object.values(deliveries).includes(change.delivery) ? { delivery: change.delivery } : {}),
+        });
+    }
+    return await userPreferences(user_id);
+}
+
+const looksLikeEmail = text => /^[^\s@]+@[^\s@]+$/.test(`${text || ''}`.trim());
+
+// who to tell about an event of a dataset, without the ones who turned it off or can't see the dataset
+// => { emails: the addresses to email right away, digest: the ids of the users who want it in their digest }
+async function notificationRecipients({ event, accession_id }, canSee = () => false) {
+    const dataset = !!accession_id ? await Dataset.findOne({ where: { accession_id } }) : null;
+    if (dataset === null) {
+        return { emails: [], digest: [] };
+    }
+    const pi = `${dataset.principal_investigator || ''}`.trim();
+    const subscriptions = await Subscription.findAll({
+        where: {
+            [Op.or]: [
+                { accession_id: dataset.accession_id },
+                ...(!!dataset.organization ? [{ organization: dataset.organization }] : []),
+            ]
+        }
+    });
+    const concerned = await User.findAll({
+        where: {
+            [Op.or]: [
+                ...(!!dataset.user_id ? [{ id: dataset.user_id }] : []),
+                ...(!!pi ? [{ email: pi }, { username: pi }] : []),
+                ...(!!dataset.organization ? [{ role: roles.ORGANIZATION_ADMIN, organization: dataset.organization }] : []),
+                ...(subscriptions.length > 0 ? [{ id: subscriptions.map(subscription => subscription.user_id) }] : []),
+            ]
+        }
+    });
+    const users = concerned.filter(user => canSee(user, dataset));
+    const piHasAccount = concerned.some(user => user.email === pi || user.username === pi);
+    const piCanSee = (dataset.visible === null || Number(dataset.visible) !== 0) && !embargoUtils.isEmbargoed(dataset);
+    const digestPreferences = notifiableEvents.includes(event) && users.length > 0 ? await NotificationPreference.findAll({
+        where: { user_id: users.map(user => user.id), event, enabled: true, delivery: deliveries.DIGEST }
+    }) : [];
+    const digestIds = digestPreferences.map(preference => preference.user_id);
+    const digestUsers = users.filter(user => digestIds.includes(user.id));
+    const immediateUsers = users.filter(user => !digestIds.includes(user.id));
+    const piEmails = looksLikeEmail(pi) && !piHasAccount && piCanSee ? [pi] : [];
+    return {
+        emails: await withoutOptedOut(immediateUsers, event, piEmails),
+        digest: [...new Set(digestUsers.map(user => user.id))],
+    };
+}
+
+// the datasets a user is told about: the other way around from `notificationRecipients`
+async function followedDatasets(user) {
+    const subscriptions = await Subscription.findAll({ where: { user_id: user.id }, raw: true });
+    const accessions = subscriptions.filter(subscription => !!subscription.accession_id).map(subscription => subscription.accession_id);
+    const organizations = [
+        ...subscriptions.filter(subscription => !!subscription.organization).map(subscription => subscription.organization),
+        ...(user.role === roles.ORGANIZATION_ADMIN && !!user.organization ? [user.organization] : []),
+    ];
+    return await Dataset.findAll({
+        where: {
+            [Op.or]: [
+                { user_id: user.id },
+                ...[user.email, user.username].filter(name => !!name).map(name => ({ principal_investigator: name })),
+                ...(accessions.length > 0 ? [{ accession_id: accessions }] : []),
+                ...(organizations.length > 0 ? [{ organization: organizations }] : []),
+            ]
+        },
+        raw: true,
+    });
+}
+
+// When digests are sent, per user (see digestUtils)
+const digestFrequencies = Object.freeze({
+    DAILY: 'DAILY',
+    WEEKLY: 'WEEKLY',
+});
+
+class DigestSetting extends Model {}
+DigestSetting.init({
+    user_id: {
+        type: DataTypes.INTEGER,
+        unique: true,
+    },
+    frequency: {
+        type: DataTypes.ENUM(Object.values(digestFrequencies)),
+        defaultValue: digestFrequencies.DAILY,
+    },
+    // in UTC
+    hour: {
+        type: DataTypes.INTEGER,
+        defaultValue: 8,
+    },
+    // for weekly digests, 0 is Sunday
+    weekday: {
+        type: DataTypes.INTEGER,
+        defaultValue: 1,
+    },
+    last_sent_at: DataTypes.DATE,
+}, { sequelize, modelName: 'digest_settings' });
+
+// an event waiting to be sent in a digest
+class DigestItem extends Model {}
+DigestItem.init({
+    user_id: DataTypes.INTEGER,
+    event: DataTypes.STRING,
+    accession_id: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    params: DataTypes.JSON,
+    sent_at: DataTypes.DATE,
+}, {
+    sequelize,
+    modelName: 'digest_items',
+    updatedAt: false,
+    indexes: [{ fields: ['user_id', 'sent_at'] }],
+});
+
+async function userDigestSetting(user_id) {
+    const [setting] = await DigestSetting.findOrCreate({ where: { user_id } });
+    return setting;
+}
+
+const isIntegerBetween = (value, min, max) => value !== undefined && value !== null && value !== ''
+    && Number.isInteger(Number(value)) && Number(value) >= min && Number(value) <= max;
+
+// values that aren't valid are left as they were
+async function setUserDigestSetting(user_id, { frequency, hour, weekday }) {
+    const setting = await userDigestSetting(user_id);
+    return await setting.update({
+        ...(Object.values(digestFrequencies).includes(frequency) ? { frequency } : {}),
+        ...(isIntegerBetween(hour, 0, 23) ? { hour: Number(hour) } : {}),
+        ...(isIntegerBetween(weekday, 0, 6) ? { weekday: Number(weekday) } : {}),
+    });
+}
+
+async function collectDigestItems(user_ids, { event, accession_id, params }) {
+    return await DigestItem.bulkCreate(user_ids.map(user_id => ({ user_id, event, accession_id, params })));
+}
+
+// the digest settings of the users with events waiting, with the time of their oldest event,
+// and of the other users who chose digests, whose datasets may have changed stage or have deadlines coming
+async function pendingDigests() {
+    const pending = await DigestItem.findAll({
+        attributes: ['user_id', [sequelize.fn('MIN', sequelize.col('createdAt')), 'since']],
+        where: { sent_at: null },
+        group: ['user_id'],
+        raw: true,
+    });
+    const chosen = await NotificationPreference.findAll({
+        attributes: ['user_id'],
+        where: {
+            enabled: true,
+            delivery: deliveries.DIGEST,
+            ...(pending.length > 0 ? { user_id: { [Op.notIn]: pending.map(({ user_id }) => user_id) } } : {}),
+        },
+        group: ['user_id'],
+        raw: true,
+    });
+    let digests = [];
+    for (const { user_id, since } of pending) {
+        digests.push({ setting: await userDigestSetting(user_id), since: new Date(since) });
+    }
+    for (const { user_id } of chosen) {
+        const setting = await userDigestSetting(user_id);
+        digests.push({ setting, since: setting.last_sent_at || setting.createdAt });
+    }
+    return digests;
+}
+
+// true if this caller gets to send the digest
+async function claimDigest(setting, now = new Date()) {
+    const [claimed] = await DigestSetting.update({ last_sent_at: now }, {
+        where: { id: setting.id, last_sent_at: setting.last_sent_at || null }
+    });
+    return claimed === 1;
+}
+
+// the events waiting for a user's digest, which are then marked as sent
+async function takeDigestItems(user_id, now = new Date()) {
+    const items = await DigestItem.findAll({
+        where: { user_id, sent_at: null, createdAt: { [Op.lte]: now } },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    });
+    if (items.length > 0) {
+        await DigestItem.update({ sent_at: now }, { where: { id: items.map(item => item.id), sent_at: null } });
+    }
+    return items.map(item => item.get({ plain: true }));
+}
+
+// the email addresses of the users who haven't turned off the event, and of anyone else given, without repeats
+async function withoutOptedOut(users, event, emails = []) {
+    const optedOut = notifiableEvents.includes(event) && users.length > 0 ? await NotificationPreference.findAll({
+        where: { user_id: users.map(user => user.id), event, enabled: false }
+    }) : [];
+    const optedOutIds = optedOut.map(preference => preference.user_id);
+    return [...new Set([
+        ...users.filter(user => !optedOutIds.includes(user.id)).map(user => user.email),
+        ...emails,
+    ].filter(email => !!email))];
+}
+
+// The audit trail (see auditUtils)
+// * Entries are only ever added: updating or deleting them throws.
+class AuditEntry extends Model {}
+AuditEntry.init({
+    // who did it; null for someone who isn't logged in (like a failed login)
+    user_id: DataTypes.INTEGER,
+    username: {
+        type: DataTypes.STRING,
+        defaultValue: '',
+    },
+    action: DataTypes.STRING,
+    target_type: DataTypes.STRING,
+    target_id: DataTypes.STRING,
+    // the dataset the action is about, if any, to find all of its entries
+    accession_id: DataTypes.STRING,
+    before: DataTypes.JSON,
+    after: DataTypes.JSON,
+    ip: DataTypes.STRING,
+    request_id: DataTypes.STRING,
+}, {
+    sequelize,
+    modelName: 'audit_log',
+    updatedAt: false,
+    indexes: [{ fields: ['user_id'] }, { fields: ['accession_id'] }, { fields: ['createdAt'] }],
+});
+
+const appendOnly = () => {
+    throw new Error('the audit trail is append-only');
+};
+['beforeUpdate', 'beforeBulkUpdate', 'beforeDestroy', 'beforeBulkDestroy', 'beforeUpsert'].forEach(hook => AuditEntry.addHook(hook, appendOnly));
+
+async function recordAudit(entry) {
+    return await AuditEntry.create(entry);
+}
+
+// filters: { user_id, accession_id, action, target_type, target_id, from, to }, all optional
+// `before` is an id: entries older than it, for paging through the trail
+async function auditEntries({ user_id, accession_id, action, target_type, target_id, from, to }, { limit = 1000, before } = {}) {
+    let where = {};
+    if (!!user_id) where.user_id = user_id;
+    if (!!accession_id) where.accession_id = accession_id;
+    if (!!action) where.action = action;
+    if (!!target_type) where.target_type = target_type;
+    if (!!target_id) where.target_id = `${target_id}`;
+    if (!!from || !!to) {
+        where.createdAt = {
+            ...(!!from ? { [Op.gte]: from } : {}),
+            ...(!!to ? { [Op.lte]: to } : {}),
+        };
+    }
+    if (!!before) where.id = { [Op.lt]: before };
+    return await AuditEntry.findAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit,
+        raw: true,
+    });
+}
+
+// every audit entry of the filters, `size` at a time, newest first, for downloads: `for await (const entries of auditEntryBatches(...))`
+// each batch is found before the last, like the pages of `auditEntries`
+async function* auditEntryBatches(filters, size = 500) {
+    let before = undefined;
+    while (true) {
+        const entries = await auditEntries(filters, { limit: size, before });
+        if (entries.length > 0) {
+            yield entries;
+        }
+        if (entries.length < size) {
+            return;
+        }
+        before = entries[entries.length - 1].id;
     }
 }
 
@@ -291,10 +1434,12 @@ const _internalProperties = [
     'provider',
     'principal_investigator',
     'embargo_date',
+    'embargo_lifted_at',
 ];
 
+// copies, rather than changes, the object: it may be shared (e.g. by a cache)
 const excludeProperties = (properties) => (object) => {
-    let _object = object;
+    let _object = { ...object };
     properties.forEach(property => {
         _object[property] = undefined;
     })
@@ -331,13 +1476,81 @@ module.exports = {
     initDB,
     userExists,
     registerUser,
+    findOrCreateGoogleUser,
+    confirmUser,
+    changePassword,
+    issueUserToken,
+    lastUserTokenIssuedAt,
+    consumeUserToken,
+    invalidateUserTokens,
+    issueApiToken,
+    activeApiToken,
+    allApiTokens,
+    revokeApiToken,
     registerDataset,
+    datasetExists,
+    transitionDataset,
+    datasetStageHistory,
+    updateDataset,
+    searchDatasets,
+    searchDatasetBatches,
+    issueAccession,
+    dueEmbargoes,
+    liftEmbargo,
+    lastEmbargoLift,
+    upcomingEmbargoes,
+    datasetRevisions,
+    datasetRevision,
+    putDatasetUploadRequestStatusChange,
+    getDatasetUploadRequest,
+    datasetUploadRequestHistory,
+    scheduleReminders,
+    cancelReminders,
+    dueReminders,
+    claimReminder,
+    notifiableEvents,
+    subscribe,
+    unsubscribe,
+    userSubscriptions,
+    userPreferences,
+    setUserPreferences,
+    notificationRecipients,
+    followedDatasets,
+    withoutOptedOut,
+    deliveries,
+    digestFrequencies,
+    userDigestSetting,
+    setUserDigestSetting,
+    collectDigestItems,
+    pendingDigests,
+    claimDigest,
+    takeDigestItems,
+    stageTransitionsBetween,
+    recordAudit,
+    auditEntries,
+    auditEntryBatches,
+    outboxStatuses,
+    queueEmail,
+    dueEmails,
+    claimEmail,
+    markEmailSent,
+    markEmailFailed,
+    outboxEmails,
+    outboxEmail,
+    resendEmail,
+    fileUploadExists,
+    registerFileUpload,
+    updateFileUpload,
+    recordFileUploadProgress,
+    allFileUploadsSucceeded,
+    fileUploadTotals,
     allUsers: allOf(User),
     allUserRoles: allOf(UserRole),
     allDatasetStates: allOf(DatasetState),
     allDatasetSources: allOf(DatasetSource),
     allDatasetTypes: allOf(DatasetType),
     allDatasets: allOf(Dataset),
+    allDatasetFiles: allOf(DatasetFile),
     schemas: {
         datasetSchema
     },
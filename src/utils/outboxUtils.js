@@ -0,0 +1,35 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+// Retrying the emails of the outbox (see modelUtils)
+// * A failed email is tried again after `backoff` seconds, then twice as long after each further failure,
+//   but never longer than `max_backoff`.
+// * After `max_attempts`, the email is dead, and waits for an admin to resend it.
+// * An email left sending for `sending_timeout` seconds (say, by a crash) is tried again.
+// * See the `outbox` block of the configuration.
+
+const outboxOptions = () => ({
+    check_every: 30,
+    max_attempts: 6,
+    backoff: 60,
+    max_backoff: 6 * 60 * 60,
+    sending_timeout: 10 * 60,
+    ...(loadedConfig.outbox || {}),
+});
+
+// when to try an email again after its `attempts`th failure, or null if it shouldn't be tried again
+function nextAttemptAt(attempts, now = new Date(), { max_attempts, backoff, max_backoff } = outboxOptions()) {
+    if (attempts >= max_attempts) {
+        return null;
+    }
+    const delay = Math.min(backoff * Math.pow(2, attempts - 1), max_backoff);
+    return new Date(new Date(now).getTime() + delay * 1000);
+}
+
+const stuckBefore = (now = new Date(), { sending_timeout } = outboxOptions()) => new Date(new Date(now).getTime() - sending_timeout * 1000);
+
+module.exports = {
+    outboxOptions,
+    nextAttemptAt,
+    stuckBefore,
+}
@@ -0,0 +1,188 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+const { Op } = require('sequelize');
+const { roles } = require('../roles');
+const model = require('./modelUtils');
+const authUtils = require('./authUtils');
+const { isEmbargoed } = require('./embargoUtils');
+const { logError } = require('./logUtils');
+
+// Authorization
+// * Who may see or change what, given the user of the request (from the session, or a bearer token).
+// * The `policy` block of the configuration says which organizations may see the datasets of another organization:
+
+/*
+    policy:
+        DGA:            # the datasets of DGA...
+        - "DGA"         # ...are visible to users of DGA
+        - "Broad"       # ...and to users of Broad
+        # - "*"         # ...or to users of any organization
+*/
+
+// * Users always see their own datasets and the datasets of their own organization, unless they are hidden (`visible: 0`)
+//   or under embargo (see embargoUtils).
+// * Internal users see everything.
+
+const policy = loadedConfig.policy || {};
+
+const isAdmin = user => !!user && user.role === roles.INTERNAL;
+
+const isOwner = (user, dataset) => !!user && !!dataset && !!dataset.user_id && `${dataset.user_id}` === `${user.id}`;
+
+const isHidden = dataset => !!dataset && dataset.visible !== undefined && dataset.visible !== null && Number(dataset.visible) === 0;
+
+const canSeeOrganization = (user, organization) => !!user && (
+    (!!organization && organization === user.organization)
+    || (Object.prototype.hasOwnProperty.call(policy, organization) && Array.isArray(policy[organization])
+        && policy[organization].some(allowed => allowed === '*' || allowed === user.organization))
+);
+
+// the organizations whose datasets the user may see
+const visibleOrganizations = user => [
+    user.organization,
+    ...Object.keys(policy).filter(organization => canSeeOrganization(user, organization)),
+].filter(organization => !!organization);
+
+const canSeeDataset = (user, dataset) => isAdmin(user)
+    || isOwner(user, dataset)
+    || (!isHidden(dataset) && !isEmbargoed(dataset) && canSeeOrganization(user, dataset.organization));
+
+const canEditDataset = (user, dataset) => isAdmin(user)
+    || isOwner(user, dataset)
+    || (!!user && user.role === roles.ORGANIZATION_ADMIN && !!dataset && dataset.organization === user.organization);
+
+// the same rules as `canSeeDataset`, as a `where` clause for queries on datasets
+const visibleDatasetsWhere = user => isAdmin(user) ? {} : {
+    [Op.or]: [
+        { user_id: `${user.id}` },
+        {
+            visible: { [Op.ne]: 0 },
+            organization: visibleOrganizations(user),
+            embargo_date: { [Op.or]: [{ [Op.is]: null }, { [Op.lte]: new Date() }] },
+        },
+    ]
+};
+
+// Middleware
+// * 401 when nobody is logged in, 403 when the user isn't allowed.
+
+// Bearer tokens (see authUtils.signJWT) are accepted alongside the session
+// * The user of the token becomes the user of the request, under the same permission checks as the session.
+// * `req.auth` says how the request was authenticated, and for bearer tokens, with which scopes.
+async function authenticateBearer(req, res, next) {
+    const [scheme, token] = `${req.get('Authorization') || ''}`.split(' ');
+    if (scheme !== 'Bearer') {
+        req.auth = !!req.user ? { type: 'session' } : null;
+        return next();
+    }
+    const payload = authUtils.verifyJWT(token);
+    let apiToken = null;
+    let user = null;
+    try {
+        apiToken = payload !== null ? await model.activeApiToken({ jti: payload.jti, user_id: payload.sub }) : null;
+        user = apiToken !== null ? await model.userExists({ id: payload.sub }) : null;
+    } catch (error) {
+        return next(error);
+    }
+    if (!user) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.sendStatus(401);
+    }
+    apiToken.update({ last_used_at: new Date() }).catch(logError('updating token failed', { token_id: apiToken.id }));
+    req.user = user;
+    req.auth = { type: 'bearer', token_id: apiToken.id, scopes: apiToken.scopes.split(' ') };
+    next();
+}
+
+// sessions can do anything their user can; bearer tokens only what their scopes allow
+const requireScope = scope => (req, res, next) => {
+    if (!req.user) {
+        return res.sendStatus(401);
+    }
+    if (!!req.auth && req.auth.type === 'bearer' && !req.auth.scopes.includes(scope)) {
+        return res.sendStatus(403);
+    }
+    next();
+}
+
+// for routes that bearer tokens should never reach, like issuing more tokens
+function requireSession(req, res, next) {
+    if (!req.user) {
+        return res.sendStatus(401);
+    }
+    if (!!req.auth && req.auth.type === 'bearer') {
+        return res.sendStatus(403);
+    }
+    next();
+}
+
+function requireLogin(req, res, next) {
+    if (!req.user) {
+        return res.sendStatus(401);
+    }
+    next();
+}
+
+// bearer tokens also need the admin scope, so that a token given out to read datasets can't do what its user can
+const requireRole = (...allowedRoles) => (req, res, next) => {
+    if (!req.user) {
+        return res.sendStatus(401);
+    }
+    if (!allowedRoles.includes(req.user.role)) {
+        return res.sendStatus(403);
+    }
+    if (!!req.auth && req.auth.type === 'bearer' && !req.auth.scopes.includes(authUtils.apiScopes.ADMIN)) {
+        return res.sendStatus(403);
+    }
+    next();
+}
+
+// for routes about a user, like `/users/:userId/name`
+const requireSelfOrAdmin = (param = 'userId') => (req, res, next) => {
+    if (!req.user) {
+        return res.sendStatus(401);
+    }
+    if (`${req.user.id}` !== `${req.params[param]}` && !isAdmin(req.user)) {
+        return res.sendStatus(403);
+    }
+    next();
+}
+
+// for routes about a dataset, like `/do/datasets/:accession_id/stages`
+// the dataset is found from the route or the body, and given to the route as `req.dataset`
+const requireDataset = (permission = canSeeDataset) => async (req, res, next) => {
+    if (!req.user) {
+        return res.sendStatus(401);
+    }
+    const accession_id = req.params.accession_id || (req.body && req.body.accession_id);
+    let dataset = null;
+    try {
+        dataset = !!accession_id ? await model.datasetExists({ accession_id }) : null;
+    } catch (error) {
+        return next(error);
+    }
+    if (!dataset) {
+        return res.sendStatus(404);
+    }
+    if (!permission(req.user, dataset)) {
+        return res.sendStatus(403);
+    }
+    req.dataset = dataset;
+    next();
+}
+
+module.exports = {
+    isAdmin,
+    canSeeOrganization,
+    canSeeDataset,
+    canEditDataset,
+    visibleDatasetsWhere,
+    authenticateBearer,
+    requireScope,
+    requireSession,
+    requireLogin,
+    requireRole,
+    requireSelfOrAdmin,
+    requireDataset,
+}
@@ -0,0 +1,44 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+// Reminders to download a dataset before its deadline
+// * Sent every two weeks (`every_days`), then daily in the last week before the deadline (`daily_days`).
+// * See templates/data-intake-emails.md for the cadence, and the `reminders` block of the configuration.
+
+const day = 24 * 60 * 60 * 1000;
+
+const reminderOptions = () => ({
+    check_every: 60,
+    every_days: 14,
+    daily_days: 7,
+    ...(loadedConfig.reminders || {}),
+});
+
+// the times (as Dates) to send reminders at, after `from` and before `deadline`
+function reminderSchedule(from, deadline, { every_days, daily_days } = reminderOptions()) {
+    const start = new Date(from).getTime();
+    const end = new Date(deadline).getTime();
+    const dailyFrom = end - daily_days * day;
+
+    let times = [];
+    for (let time = start + every_days * day; time < dailyFrom; time += every_days * day) {
+        times.push(time);
+    }
+    // daily reminders count down to the deadline, so they fall at the same time of day as it
+    for (let days = daily_days; days > 0; days--) {
+        const time = end - days * day;
+        if (time > start) {
+            times.push(time);
+        }
+    }
+    return times.map(time => new Date(time));
+}
+
+// whole days left until the deadline, for the `{{n}}` of the reminder emails
+const daysLeft = (deadline, now = new Date()) => Math.max(0, Math.ceil((new Date(deadline).getTime() - new Date(now).getTime()) / day));
+
+module.exports = {
+    reminderOptions,
+    reminderSchedule,
+    daysLeft,
+}
@@ -0,0 +1,77 @@
+// Revisions of the metadata of a dataset (see `model.updateDataset`)
+// * Every change to the metadata of a dataset is kept as a revision: who made it, when, and which fields changed from what to what.
+// * Revision 1 is the dataset as it was registered, so what the submitter first said is never lost.
+// * Each revision also keeps a snapshot of all the fields after it, so that any two can be compared, and any one restored.
+// * The stage of a dataset isn't metadata; it has its own history (see lifecycleUtils).
+
+const revisableProperties = Object.freeze([
+    'name',
+    'organization',
+    'principal_investigator',
+    'description',
+    'provider',
+    'source',
+    'workflow',
+    'datatype',
+    'embargo_date',
+    'location',
+    'visible',
+]);
+
+// values are compared as they'd be stored, so that '2021-01-01' and a Date of the same day are the same,
+// and an empty string is the same as nothing
+function normalizeValue(property, value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (property === 'embargo_date') {
+        return new Date(value).toISOString();
+    }
+    if (property === 'visible') {
+        return Number(value);
+    }
+    return `${value}`;
+}
+
+// the revisable properties of an object, normalized
+const snapshotOf = object => Object.fromEntries(revisableProperties.map(property => [property, normalizeValue(property, object[property])]));
+
+// { <property>: { from, to } } for each property that differs
+// only the properties given in `after` are compared, so that partial updates don't clear the rest
+function diffValues(before, after, properties = revisableProperties) {
+    let changes = {};
+    properties
+        .filter(property => Object.prototype.hasOwnProperty.call(after, property))
+        .forEach(property => {
+            const from = normalizeValue(property, before[property]);
+            const to = normalizeValue(property, after[property]);
+            if (from !== to) {
+                changes[property] = { from, to };
+            }
+        });
+    return changes;
+}
+
+// what's wrong with the values of an update, if anything
+function invalidValues(values) {
+    let errors = [];
+    if (values.embargo_date !== undefined && values.embargo_date !== null && values.embargo_date !== ''
+        && isNaN(new Date(values.embargo_date).getTime())) {
+        errors.push('embargo_date is not a date');
+    }
+    if (values.visible !== undefined && ![0, 1].includes(Number(values.visible))) {
+        errors.push('visible must be 0 or 1');
+    }
+    if (values.name !== undefined && `${values.name}`.trim() === '') {
+        errors.push('name cannot be empty');
+    }
+    return errors;
+}
+
+module.exports = {
+    revisableProperties,
+    normalizeValue,
+    snapshotOf,
+    diffValues,
+    invalidValues,
+}
@@ -0,0 +1,273 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+
+// Searching datasets (see `model.searchDatasets`)
+// * Only the fields of `filterableFields` can be filtered on; anything else is an error rather than ignored,
+//   so that internal properties can't be probed, and typos don't go unnoticed.
+// * Internal users can also filter, sort and search on some internal properties (`internalFields`);
+//   nobody else can, since doing so would tell them what the properties are.
+// * `q` matches the name and description (and for internal users, the principal investigator), anywhere in them, whatever their case.
+// * Dates are filtered by range: when datasets moved into a stage (`staged`, `staged_from`, `staged_to`), from their stage history,
+//   and for internal users, the embargo date (`embargo_from`, `embargo_to`).
+// * Results are sorted by any number of fields (`sort=organization,-name`), then by id, so that the order is total.
+// * Pages are either given by `offset`, or follow a `cursor` given with the page before, which doesn't skip or repeat
+//   datasets that are registered while paging. Cursors can't be used with another sort than the one they came with.
+// * Cursors hold the sorted values of the last dataset of a page, so they're encrypted: clients can't read or change them.
+
+/* Example:
+
+    // GET /do/datasets/search?q=diabetes&datatype=GWAS&datatype=WGS&sort=-name&limit=20
+    const search = parseSearch(req.query, { internal: policyUtils.isAdmin(req.user) });
+    const { datasets, total, matched, next_cursor } = await model.searchDatasets(search, policyUtils.visibleDatasetsWhere(req.user));
+
+*/
+
+// exact matches; several values match any of them
+const filterableFields = Object.freeze([
+    'accession_id',
+    'name',
+    'organization',
+    'source',
+    'workflow',
+    'datatype',
+    'status',
+    'location',
+]);
+
+const textFields = Object.freeze(['name', 'description']);
+
+const sortableFields = Object.freeze([
+    'accession_id',
+    'name',
+    'organization',
+    'source',
+    'datatype',
+    'status',
+]);
+
+// what internal users can use besides
+const internalFields = Object.freeze({
+    filterable: ['provider', 'principal_investigator'],
+    text: ['principal_investigator'],
+    sortable: ['provider', 'principal_investigator', 'embargo_date', 'createdAt', 'updatedAt'],
+    parameters: ['embargo_from', 'embargo_to'],
+});
+
+const dateFields = ['embargo_date', 'createdAt', 'updatedAt'];
+
+// the parameters of a search that aren't filters on fields
+const searchParameters = Object.freeze([
+    'q', 'mine', 'staged', 'staged_from', 'staged_to', 'sort', 'limit', 'offset', 'cursor',
+]);
+
+const fieldsFor = (fields, internal, extra) => internal ? [...fields, ...extra] : [...fields];
+
+const defaultLimit = 25;
+const maxLimit = 500;
+
+const isGiven = value => value !== undefined && value !== null && value !== '';
+
+function parseDate(name, value) {
+    if (!isGiven(value)) {
+        return undefined;
+    }
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`${name} is not a date: ${value}`);
+    }
+    return date;
+}
+
+function parseCount(name, value, fallback, max = Infinity) {
+    if (!isGiven(value)) {
+        return fallback;
+    }
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`${name} is not a count: ${value}`);
+    }
+    return Math.min(count, max);
+}
+
+// `name,-organization` => [['name', 'ASC'], ['organization', 'DESC']]
+function parseSort(sort, internal) {
+    const sortable = fieldsFor(sortableFields, internal, internalFields.sortable);
+    const fields = `${sort || ''}`.split(',').map(field => field.trim()).filter(field => !!field);
+    return fields.map(field => {
+        const [direction, name] = field.startsWith('-') ? ['DESC', field.slice(1)] : ['ASC', field.replace(/^\+/, '')];
+        if (!sortable.includes(name)) {
+            throw new Error(`cannot sort on ${name}`);
+        }
+        return [name, direction];
+    });
+}
+
+const sortKey = sort => sort.map(([field, direction]) => `${direction === 'DESC' ? '-' : ''}${field}`).join(',');
+
+// AES-GCM, with a key of our own, so that cursors can neither be read nor made up
+const cursorKey = () => crypto.createHash('sha256').update(`search cursor:${loadedConfig.session_key}`).digest();
+
+function encodeCursor(sort, values) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', cursorKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify({ sort: sortKey(sort), values })), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let decoded = null;
+    try {
+        const data = Buffer.from(`${cursor}`, 'base64url');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', cursorKey(), data.subarray(0, 12));
+        decipher.setAuthTag(data.subarray(12, 28));
+        decoded = JSON.parse(Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]).toString());
+    } catch {
+        throw new Error('not a cursor');
+    }
+    const fields = [...sort.map(([field]) => field), 'id'];
+    if (!decoded || decoded.sort !== sortKey(sort) || !Array.isArray(decoded.values) || decoded.values.length !== fields.length) {
+        throw new Error('the cursor was made for another sort');
+    }
+    return decoded.values.map((value, index) => value !== null && dateFields.includes(fields[index]) ? new Date(value) : value);
+}
+
+// the filters on fields of a query (or of a body), as values or lists of values; throws if it has anything else
+function parseFilters(query = {}, { internal = false, parameters = [] } = {}) {
+    const filterable = fieldsFor(filterableFields, internal, internalFields.filterable);
+    const unknown = Object.keys(query).filter(key => !filterable.includes(key) && !parameters.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`cannot filter on ${unknown.join(', ')}`);
+    }
+    const isValue = value => ['string', 'number', 'boolean'].includes(typeof value);
+    return Object.fromEntries(filterable
+        .filter(field => isGiven(query[field]))
+        .map(field => {
+            const value = query[field];
+            if (!isValue(value) && !(Array.isArray(value) && value.every(isValue))) {
+                throw new Error(`${field} must be a value, or a list of values`);
+            }
+            return [field, Array.isArray(value) ? value.map(item => `${item}`) : `${value}`];
+        }));
+}
+
+// a search, from the query of a request; throws if it can't be made sense of
+// `internal`: whether the user is an internal one, who can use internal fields too
+function parseSearch(query = {}, { internal = false } = {}) {
+    const filters = parseFilters(query, {
+        internal,
+        parameters: fieldsFor(searchParameters, internal, internalFields.parameters),
+    });
+    const sort = parseSort(query.sort, internal);
+    if (isGiven(query.cursor) && isGiven(query.offset)) {
+        throw new Error('give either a cursor or an offset');
+    }
+    return {
+        filters,
+        internal,
+        q: isGiven(query.q) ? `${query.q}`.trim() : null,
+        mine: `${query.mine}` === 'true',
+        embargo: { from: parseDate('embargo_from', query.embargo_from), to: parseDate('embargo_to', query.embargo_to) },
+        staged: {
+            stage: isGiven(query.staged) ? `${query.staged}` : null,
+            from: parseDate('staged_from', query.staged_from),
+            to: parseDate('staged_to', query.staged_to),
+        },
+        sort,
+        limit: parseCount('limit', query.limit, defaultLimit, maxLimit),
+        offset: parseCount('offset', query.offset, 0),
+        after: isGiven(query.cursor) ? decodeCursor(query.cursor, sort) : null,
+    };
+}
+
+// LIKE patterns match their wildcards literally; backslash is the escape character of MySQL
+const likeEscape = text => text.replace(/[\\%_]/g, character => `\\${character}`);
+
+const dateRange = ({ from, to }) => ({
+    ...(!!from ? { [Op.gte]: from } : {}),
+    ...(!!to ? { [Op.lte]: to } : {}),
+});
+
+const hasRange = range => !!range.from || !!range.to;
+
+// the filters of a search as a `where` clause, except for the stage dates (see `stagedWhere`)
+function searchWhere({ filters, internal, q, mine, embargo }, user) {
+    let conditions = Object.entries(filters).map(([field, value]) => ({ [field]: value }));
+    if (!!q) {
+        conditions.push({
+            [Op.or]: fieldsFor(textFields, internal, internalFields.text).map(field => ({ [field]: { [Op.like]: `%${likeEscape(q)}%` } })),
+        });
+    }
+    if (mine && !!user) {
+        conditions.push({ user_id: `${user.id}` });
+    }
+    if (hasRange(embargo)) {
+        conditions.push({ embargo_date: dateRange(embargo) });
+    }
+    return { [Op.and]: conditions };
+}
+
+// the same filters, for datasets that aren't in our database (like those of remote datasources, see aggregations)
+// they have no stage history, so they're never found by their stage dates
+function matchesSearch(dataset, { filters, internal, q, mine, embargo, staged }, user) {
+    const text = value => `${value === undefined || value === null ? '' : value}`;
+    const inRange = (value, { from, to }) => isGiven(value) && (!from || new Date(value) >= from) && (!to || new Date(value) <= to);
+    return Object.entries(filters).every(([field, value]) => [].concat(value).includes(text(dataset[field])))
+        && (!q || fieldsFor(textFields, internal, internalFields.text).some(field => text(dataset[field]).toLowerCase().includes(q.toLowerCase())))
+        && (!mine || (!!user && text(dataset.user_id) === `${user.id}`))
+        && (!hasRange(embargo) || inRange(dataset.embargo_date, embargo))
+        && stagedWhere({ staged }) === null;
+}
+
+// the stage transitions that put datasets in the search, or null if the search isn't about stage dates
+const stagedWhere = ({ staged }) => !staged.stage && !hasRange(staged) ? null : {
+    ...(!!staged.stage ? { to_stage: staged.stage } : {}),
+    ...(hasRange(staged) ? { createdAt: dateRange(staged) } : {}),
+};
+
+const searchOrder = ({ sort }) => [...sort, ['id', sort.length > 0 ? sort[sort.length - 1][1] : 'ASC']];
+
+// the datasets after the cursor, in the order of the search
+// nulls come first in ascending order and last in descending order, as they do in MySQL
+function afterWhere(search) {
+    if (search.after === null) {
+        return {};
+    }
+    const order = searchOrder(search);
+    const equal = (field, value) => ({ [field]: value === null ? { [Op.is]: null } : value });
+    const beyond = (field, direction, value) => direction === 'ASC'
+        ? (value === null ? { [field]: { [Op.ne]: null } } : { [field]: { [Op.gt]: value } })
+        : (value === null ? null : { [Op.or]: [{ [field]: { [Op.lt]: value } }, { [field]: { [Op.is]: null } }] });
+    const alternatives = order.map(([field, direction], index) => {
+        const condition = beyond(field, direction, search.after[index]);
+        return condition === null ? null : {
+            [Op.and]: [...order.slice(0, index).map(([before], at) => equal(before, search.after[at])), condition],
+        };
+    }).filter(alternative => alternative !== null);
+    return { [Op.or]: alternatives };
+}
+
+// the values of the sorted fields of a dataset, which the page after it starts after
+const cursorValues = (search, last) => searchOrder(search).map(([field]) => last[field] === undefined ? null : last[field]);
+
+// the cursor of the page after this one, ending with `last`
+const nextCursor = (search, last) => encodeCursor(search.sort, cursorValues(search, last));
+
+module.exports = {
+    filterableFields,
+    textFields,
+    sortableFields,
+    internalFields,
+    searchParameters,
+    parseFilters,
+    parseSearch,
+    searchWhere,
+    matchesSearch,
+    stagedWhere,
+    searchOrder,
+    afterWhere,
+    cursorValues,
+    nextCursor,
+}
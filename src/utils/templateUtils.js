@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const appRoot = require("app-root-path");
+const showdown = require("showdown");
+const { logger } = require('./logUtils');
+
+// Templates for notification emails, written in Markdown (see the templates directory)
+// * Placeholders are written `{{ key }}`. Keys may have spaces and punctuation (`{{human readable accession}}`, `{{e-mail}}`),
+//   and may be dotted paths into nested values (`{{dataset.name}}`).
+// * A default is given after a bar, for when there is no value: `{{file number | "several"}}`.
+// * A key is looked up as it's written, then as a dotted path, then under its alias (see `templateAliases`),
+//   then in snake_case (`{{file number}}` => `file_number`).
+// * Keys with neither a value nor a default are reported as missing, and left empty.
+// * Templates are rendered both as HTML and as plain text, for the two parts of an email.
+
+/* Example:
+
+    const { html, text, missing } = renderTemplate('Hello {{ user.name | "there" }}, see {{ link }}', { user: {} });
+    // text: 'Hello there, see ', missing: ['link']
+
+*/
+
+const templateDirectory = () => path.resolve(appRoot.toString(), 'templates');
+
+// the names our templates use for the params we have
+const templateAliases = Object.freeze({
+    'accession': 'accession_id',
+    'accession number': 'accession_id',
+    'human readable accession': 'accession_id',
+    'e-mail': 'email',
+    'type': 'datatype',
+    'lastUpdated': 'updatedAt',
+});
+
+// a dataset to preview templates with, when no real one is given
+const sampleParams = Object.freeze({
+    accession_id: 'EXAMPLE1',
+    name: 'Example GWAS',
+    version: 1,
+    author: 'Jane Doe',
+    email: 'janedoe@example.org',
+    datatype: 'GWAS',
+    organization: 'Broad Institute',
+    aspera: 'example-session',
+    link: 'https://example.org/upload/example-session',
+    deadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    updatedAt: new Date(),
+    n: 30,
+    error: 'the connection to the transfer service was lost',
+    embargo_date: new Date(),
+    dataset: {
+        accession_id: 'EXAMPLE1',
+        name: 'Example GWAS',
+    },
+});
+
+// {{ key }} or {{ key | "default" }}; the default may also be single-quoted or bare
+const placeholderPattern = /{{\s*([^{}|]+?)\s*(?:\|\s*("[^"]*"|'[^']*'|[^{}]*?)\s*)?}}/g;
+
+const unquote = value => /^(["']).*\1$/.test(value) ? value.slice(1, -1) : value;
+
+// the placeholders of a template, in the order they appear, without repeats
+function placeholders(template) {
+    const found = new Map();
+    [...`${template || ''}`.matchAll(placeholderPattern)].forEach(([placeholder, key, fallback]) => {
+        if (!found.has(key)) {
+            found.set(key, { key, default: fallback !== undefined ? unquote(fallback) : undefined });
+        }
+    });
+    return [...found.values()];
+}
+
+const valueAt = (object, path) => path.split('.')
+    .reduce((value, key) => (value === null || value === undefined) ? undefined : value[key], object);
+
+const snakeCase = key => key.trim().replace(/[^A-Za-z0-9.]+/g, '_').replace(/^_|_$/g, '').toLowerCase();
+
+const isPresent = value => value !== undefined && value !== null && value !== '';
+
+function lookup(params = {}, key) {
+    const candidates = [key, templateAliases[key], snakeCase(key)].filter(candidate => !!candidate);
+    for (const candidate of candidates) {
+        const value = Object.prototype.hasOwnProperty.call(params, candidate) ? params[candidate] : valueAt(params, candidate);
+        if (isPresent(value)) {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+const formatValue = value => value instanceof Date ? value.toUTCString()
+    : Array.isArray(value) ? value.join(', ')
+    : typeof value === 'object' ? JSON.stringify(value)
+    : `${value}`;
+
+const escapeHTML = text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// the keys of a template that have neither a value in the params nor a default
+const missingVariables = (template, params) => placeholders(template)
+    .filter(placeholder => lookup(params, placeholder.key) === undefined && placeholder.default === undefined)
+    .map(placeholder => placeholder.key);
+
+function fillTemplate(template, params, escape = text => text) {
+    return `${template || ''}`.replace(placeholderPattern, (placeholder, key, fallback) => {
+        const value = lookup(params, key);
+        return isPresent(value) ? escape(formatValue(value))
+            : fallback !== undefined ? escape(unquote(fallback))
+            : '';
+    });
+}
+
+// a readable plain-text version of the Markdown we write templates in
+const markdownToText = markdown => markdown
+    .replace(/^#+\s*/gm, '')
+    .replace(/\[([^\]]*)\]\(\)/g, '$1')
+    .replace(/\[([^\]]*)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/^\* /gm, '- ')
+    .trim();
+
+function renderTemplate(template, params) {
+    const converter = new showdown.Converter();
+    return {
+        html: converter.makeHtml(fillTemplate(template, params, escapeHTML)),
+        text: markdownToText(fillTemplate(template, params)),
+        missing: missingVariables(template, params),
+    };
+}
+
+// template names are the names of events, so they can't reach outside of the templates directory
+function readTemplate(name) {
+    if (!/^[A-Za-z0-9_]+$/.test(`${name}`)) {
+        return '';
+    }
+    try {
+        return fs.readFileSync(path.join(templateDirectory(), `${name}.md`)).toString();
+    } catch {
+        logger.warn('template does not exist or cannot be accessed', { template: name });
+    }
+    return '';
+}
+
+module.exports = {
+    templateAliases,
+    sampleParams,
+    placeholders,
+    missingVariables,
+    fillTemplate,
+    renderTemplate,
+    readTemplate,
+}
@@ -0,0 +1,335 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const appRoot = require("app-root-path");
+const authUtils = require('./authUtils');
+const { events } = require('../events');
+const { logger } = require('./logUtils');
+
+// Transfer providers
+// * A transfer provider (Aspera, Globus, a local directory) moves the files of a dataset to us.
+// * Every provider can create a transfer session, report its progress, and cancel or expire it.
+// * Providers report what happens to their sessions as their own events (modelled on the task events of Globus,
+//   see templates/data-intake-emails.md); these are mapped onto `events.transfers` before they reach the broker.
+// * Events that aren't a change of status (like PROGRESS) are still given to subscribers, but without a `status`.
+
+/* Example:
+
+    const provider = makeTransferProvider(loadedConfig.transfers);
+    provider.subscribe(message => message.status && dispatch(broker, message));
+
+    const session = await provider.createSession({ accession_id: 'EXAMPLE', deadline });
+    // ...the submitter copies their files to `session.link`...
+    await provider.poll();      // => UPLOAD_START, then UPLOAD_SUCCESS once the session is complete
+
+*/
+
+const providerEvents = Object.freeze({
+    STARTED: 'STARTED',
+    PROGRESS: 'PROGRESS',
+    FILE_ACCESS: 'FILE_ACCESS',
+    PAUSED: 'PAUSED',
+    UNPAUSED: 'UNPAUSED',
+    VERIFY_CHECKSUM: 'VERIFY_CHECKSUM',
+    AUTH: 'AUTH',
+    SUCCESSFUL: 'SUCCESSFUL',
+    CANCELED: 'CANCELED',
+    EXPIRED: 'EXPIRED',
+    ERROR: 'ERROR',
+});
+
+// provider event => status of the upload request, or null if it isn't a change of status
+const transferStatuses = Object.freeze({
+    [providerEvents.STARTED]: events.transfers.UPLOAD_START,
+    [providerEvents.PROGRESS]: null,
+    [providerEvents.FILE_ACCESS]: null,
+    [providerEvents.PAUSED]: null,
+    [providerEvents.UNPAUSED]: null,
+    [providerEvents.VERIFY_CHECKSUM]: null,
+    [providerEvents.AUTH]: events.transfers.UPLOAD_ERROR,
+    [providerEvents.SUCCESSFUL]: events.transfers.UPLOAD_SUCCESS,
+    [providerEvents.CANCELED]: events.transfers.UPLOAD_CANCELED,
+    [providerEvents.EXPIRED]: events.transfers.UPLOAD_EXPIRED,
+    [providerEvents.ERROR]: events.transfers.UPLOAD_ERROR,
+});
+
+const sessionStatuses = Object.freeze({
+    CREATED: 'CREATED',
+    ACTIVE: 'ACTIVE',
+    SUCCEEDED: 'SUCCEEDED',
+    CANCELED: 'CANCELED',
+    EXPIRED: 'EXPIRED',
+    FAILED: 'FAILED',
+});
+
+const isFinished = session => [
+    sessionStatuses.SUCCEEDED,
+    sessionStatuses.CANCELED,
+    sessionStatuses.EXPIRED,
+    sessionStatuses.FAILED,
+].includes(session.status);
+
+// The interface every provider implements
+// * createSession({ accession_id, deadline }) => { session_id, accession_id, link, status, expires_at, ... }
+// * progress(session_id) => { session_id, status, files, bytes }
+// * cancel(session_id), expire(session_id) => the session, after the change
+// * poll() => asks the provider about every unfinished session (for providers that can't call us back)
+class TransferProvider {
+
+    #listeners
+
+    constructor(name) {
+        this.name = name;
+        this.#listeners = [];
+    }
+
+    // listener: ({ status, event, params, details }) => void
+    subscribe(listener) {
+        this.#listeners.push(listener);
+        return this;
+    }
+
+    // for providers, to report an event of theirs about a session
+    emit(event, session, details = {}) {
+        const message = {
+            status: transferStatuses[event] || null,
+            event,
+            provider: this.name,
+            params: {
+                accession_id: session.accession_id,
+                aspera: session.session_id,
+                link: session.link,
+            },
+            details,
+        };
+        this.#listeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                logger.error('transfer listener failed', { provider: this.name, error });
+            }
+        });
+        return message;
+    }
+
+    async createSession({ accession_id, deadline }) {
+        throw new Error(`${this.name}: createSession is not implemented`);
+    }
+
+    async progress(session_id) {
+        throw new Error(`${this.name}: progress is not implemented`);
+    }
+
+    async cancel(session_id) {
+        throw new Error(`${this.name}: cancel is not implemented`);
+    }
+
+    async expire(session_id) {
+        throw new Error(`${this.name}: expire is not implemented`);
+    }
+
+    async poll() {
+        return [];
+    }
+
+}
+
+// The reference provider: a directory on this machine
+// * Each session is a directory, `<directory>/<session_id>/`, which the submitter copies their files into.
+// * The session is kept in `session.json` beside the files, so it outlives restarts.
+// * The submitter says they're done by leaving an empty `.complete` file; the files are then checksummed,
+//   and their checksums kept with the session.
+// * Polling reports the progress of a session as it grows, and expires sessions past their deadline.
+const sessionFile = 'session.json';
+const completeFile = '.complete';
+
+class LocalTransferProvider extends TransferProvider {
+
+    #directory
+    #expiresIn
+
+    constructor({ directory = 'transfers', expires_in = 30 * 24 * 60 * 60 } = {}) {
+        super('local');
+        this.#directory = path.resolve(appRoot.toString(), directory);
+        this.#expiresIn = expires_in;
+    }
+
+    #sessionPath(session_id, ...rest) {
+        // session ids are ours, but are given back to us in routes
+        if (!/^[A-Za-z0-9]+$/.test(`${session_id}`)) {
+            throw new Error(`${this.name}: bad session id ${session_id}`);
+        }
+        return path.join(this.#directory, session_id, ...rest);
+    }
+
+    #read(session_id) {
+        try {
+            return JSON.parse(fs.readFileSync(this.#sessionPath(session_id, sessionFile)));
+        } catch {
+            return null;
+        }
+    }
+
+    #write(session) {
+        fs.writeFileSync(this.#sessionPath(session.session_id, sessionFile), JSON.stringify(session, null, 2));
+        return session;
+    }
+
+    #find(session_id) {
+        const session = this.#read(session_id);
+        if (session === null) {
+            throw new Error(`${this.name}: no session ${session_id}`);
+        }
+        return session;
+    }
+
+    // the files of a session, relative to its directory
+    #files(session_id) {
+        const root = this.#sessionPath(session_id);
+        const walk = directory => fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+            const entryPath = path.join(directory, entry.name);
+            return entry.isDirectory() ? walk(entryPath) : [path.relative(root, entryPath)];
+        });
+        return walk(root).filter(file => file !== sessionFile && file !== completeFile);
+    }
+
+    #measure(session_id) {
+        const files = this.#files(session_id);
+        const bytes = files.reduce((total, file) => total + fs.statSync(this.#sessionPath(session_id, file)).size, 0);
+        return { files: files.length, bytes };
+    }
+
+    #checksum(session_id, file) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(this.#sessionPath(session_id, file))
+                .on('data', data => hash.update(data))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    #finish(session, status, event, details = {}) {
+        this.#write({ ...session, status, finished_at: new Date() });
+        this.emit(event, session, details);
+        return this.#read(session.session_id);
+    }
+
+    async createSession({ accession_id, deadline }) {
+        const session_id = authUtils.shakeSalt(16);
+        const expires_at = !!deadline ? new Date(deadline) : new Date(Date.now() + this.#expiresIn * 1000);
+        fs.mkdirSync(this.#sessionPath(session_id), { recursive: true });
+        return this.#write({
+            session_id,
+            accession_id,
+            link: `file://${this.#sessionPath(session_id)}`,
+            status: sessionStatuses.CREATED,
+            expires_at,
+            created_at: new Date(),
+            files: 0,
+            bytes: 0,
+        });
+    }
+
+    async progress(session_id) {
+        const { status, files, bytes } = this.#find(session_id);
+        return { session_id, status, files, bytes };
+    }
+
+    async cancel(session_id) {
+        const session = this.#find(session_id);
+        return isFinished(session) ? session : this.#finish(session, sessionStatuses.CANCELED, providerEvents.CANCELED);
+    }
+
+    async expire(session_id) {
+        const session = this.#find(session_id);
+        return isFinished(session) ? session : this.#finish(session, sessionStatuses.EXPIRED, providerEvents.EXPIRED);
+    }
+
+    // checksum the files of a session, then mark it as successful
+    async #verify(session) {
+        this.emit(providerEvents.VERIFY_CHECKSUM, session);
+        try {
+            let checksums = {};
+            for (const file of this.#files(session.session_id)) {
+                checksums[file] = await this.#checksum(session.session_id, file);
+            }
+            return this.#finish({ ...session, checksums }, sessionStatuses.SUCCEEDED, providerEvents.SUCCESSFUL, { checksums });
+        } catch (error) {
+            return this.#finish(session, sessionStatuses.FAILED, providerEvents.ERROR, { error: error.message });
+        }
+    }
+
+    async #check(session) {
+        if (new Date(session.expires_at) <= new Date()) {
+            return this.expire(session.session_id);
+        }
+        const { files, bytes } = this.#measure(session.session_id);
+        if (bytes !== session.bytes || files !== session.files) {
+            session = this.#write({ ...session, files, bytes });
+            if (session.status === sessionStatuses.CREATED) {
+                session = this.#write({ ...session, status: sessionStatuses.ACTIVE, started_at: new Date() });
+                this.emit(providerEvents.STARTED, session);
+            }
+            this.emit(providerEvents.PROGRESS, session, { files, bytes });
+        }
+        if (fs.existsSync(this.#sessionPath(session.session_id, completeFile))) {
+            if (session.status === sessionStatuses.CREATED) {
+                this.emit(providerEvents.STARTED, session);
+            }
+            return this.#verify(session);
+        }
+        return session;
+    }
+
+    async poll() {
+        if (!fs.existsSync(this.#directory)) {
+            return [];
+        }
+        const sessions = fs.readdirSync(this.#directory)
+            .map(session_id => this.#read(session_id))
+            .filter(session => session !== null && !isFinished(session));
+        let checked = [];
+        for (const session of sessions) {
+            checked.push(await this.#check(session).catch(error => {
+                logger.error('checking transfer session failed', { provider: this.name, session_id: session.session_id, error });
+                return session;
+            }));
+        }
+        return checked;
+    }
+
+}
+
+// providers by the name they're configured with
+const transferProviders = Object.freeze({
+    local: LocalTransferProvider,
+});
+
+const transferOptions = () => ({
+    provider: 'local',
+    poll_every: 60,
+    ...(loadedConfig.transfers || {}),
+});
+
+function makeTransferProvider(options = transferOptions()) {
+    const Provider = transferProviders[options.provider];
+    if (!Provider) {
+        throw new Error(`makeTransferProvider: unknown transfer provider ${options.provider}`);
+    }
+    return new Provider(options[options.provider] || {});
+}
+
+module.exports = {
+    providerEvents,
+    transferStatuses,
+    sessionStatuses,
+    TransferProvider,
+    LocalTransferProvider,
+    transferProviders,
+    transferOptions,
+    makeTransferProvider,
+}
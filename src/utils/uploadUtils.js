@@ -0,0 +1,152 @@
+const config = require("../../config");
+const loadedConfig = config.loadConfig();
+
+const fs = require('fs');
+const path = require('path');
+const appRoot = require("app-root-path");
+const authUtils = require('./authUtils');
+
+// Resumable uploads
+// * A client opens an upload session for a file, then sends it in chunks, each tagged with a `Content-Range` header.
+// * Chunks are appended to the file on disk only if they begin where the file currently ends,
+//   so a client that loses its connection asks for the progress of the upload and continues from there.
+// * The file on disk is the source of truth for how many bytes have been received.
+// * Chunks of the same upload are written one at a time, so two chunks sent at once can't both append at the same offset;
+//   the second one then finds the file has moved on, and is told where to resume from.
+// * A chunk that's refused (a bad range, or more bytes than it said) leaves the upload as it was, to be resumed.
+
+const uploadErrors = Object.freeze({
+    BAD_RANGE: 'BAD_RANGE',             // the Content-Range header is missing or malformed
+    OFFSET_MISMATCH: 'OFFSET_MISMATCH', // the chunk doesn't start where the file currently ends
+    OVERFLOW: 'OVERFLOW',               // the chunk would write past the expected size of the file
+    INTERRUPTED: 'INTERRUPTED',         // the connection ended before the chunk was written
+});
+
+const uploadDirectory = () => path.resolve(appRoot.toString(), (loadedConfig.uploads && loadedConfig.uploads.directory) || 'uploads');
+
+const makeUploadId = () => authUtils.shakeSalt(16);
+
+// keep filenames on disk to a single, file-system compatible path segment
+const sanitizeFilename = filename => path.basename(`${filename}`).replace(/[^A-Za-z0-9._-]/g, '_');
+
+const uploadPath = fileUpload => path.join(
+    uploadDirectory(),
+    sanitizeFilename(fileUpload.accession_id),
+    fileUpload.upload_id,
+    sanitizeFilename(fileUpload.filename)
+);
+
+function bytesReceived(fileUpload) {
+    try {
+        return fs.statSync(uploadPath(fileUpload)).size;
+    } catch {
+        return 0;
+    }
+}
+
+// `Content-Range: bytes <start>-<end>/<total>` => { start, end, total } | null
+function parseContentRange(header) {
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(`${header || ''}`.trim());
+    if (!match) {
+        return null;
+    }
+    const [start, end, total] = match.slice(1).map(Number);
+    if (end < start || end >= total) {
+        return null;
+    }
+    return { start, end, total };
+}
+
+// progress report for clients, both for polling and for resuming an interrupted upload
+const uploadProgress = fileUpload => {
+    const received = bytesReceived(fileUpload);
+    return {
+        upload_id: fileUpload.upload_id,
+        accession_id: fileUpload.accession_id,
+        filename: fileUpload.filename,
+        status: fileUpload.status,
+        received,
+        expected: Number(fileUpload.bytes_expected),
+        complete: received === Number(fileUpload.bytes_expected),
+    };
+}
+
+function appendChunk(fileUpload, stream, range) {
+    return new Promise((resolve, reject) => {
+        // it may have gone while waiting for the chunk before it
+        if (stream.destroyed || stream.aborted) {
+            return reject(uploadErrors.INTERRUPTED);
+        }
+        if (range === null) {
+            return reject(uploadErrors.BAD_RANGE);
+        }
+        if (range.total !== Number(fileUpload.bytes_expected)) {
+            return reject(uploadErrors.BAD_RANGE);
+        }
+
+        const filePath = uploadPath(fileUpload);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        const received = bytesReceived(fileUpload);
+        if (range.start !== received) {
+            return reject(uploadErrors.OFFSET_MISMATCH);
+        }
+
+        const chunkSize = range.end - range.start + 1;
+        let written = 0;
+        let failed = null;
+        const file = fs.createWriteStream(filePath, { flags: 'a' });
+
+        // throw away whatever was appended past the declared range, keeping the file resumable
+        const fail = error => {
+            if (failed) return;
+            failed = error;
+            stream.unpipe(file);
+            file.end(() => {
+                fs.truncateSync(filePath, Math.min(bytesReceived(fileUpload), range.start + Math.min(written, chunkSize)));
+                reject(error);
+            });
+        };
+
+        stream.on('data', data => {
+            written += data.length;
+            if (written > chunkSize) {
+                fail(uploadErrors.OVERFLOW);
+            }
+        });
+        stream.on('aborted', () => fail(uploadErrors.INTERRUPTED));
+        stream.on('error', () => fail(uploadErrors.INTERRUPTED));
+        file.on('error', error => fail(error));
+        file.on('finish', () => {
+            if (!failed) {
+                resolve(bytesReceived(fileUpload));
+            }
+        });
+
+        stream.pipe(file);
+    });
+}
+
+// upload_id => the chunk being written, which the next one waits for
+const writing = new Map();
+
+// append a chunk from a readable stream (e.g. the request) to the file of the upload, once the chunks before it are written
+// resolves to the number of bytes now on disk, or rejects with one of `uploadErrors`
+function writeChunk(fileUpload, stream, range) {
+    const { upload_id } = fileUpload;
+    const written = (writing.get(upload_id) || Promise.resolve()).then(() => appendChunk(fileUpload, stream, range));
+    const settled = written.catch(() => {});
+    writing.set(upload_id, settled);
+    settled.then(() => writing.get(upload_id) === settled && writing.delete(upload_id));
+    return written;
+}
+
+module.exports = {
+    uploadErrors,
+    makeUploadId,
+    uploadPath,
+    uploadProgress,
+    bytesReceived,
+    parseContentRange,
+    writeChunk,
+}
@@ -0,0 +1,193 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+// Zip archives, written as they're made (for XLSX exports, see exportUtils)
+// * Small files are added whole; large ones are opened, written to in pieces, and closed, so they're never all in memory.
+// * Files are deflated. The CRC and sizes of an opened file are only known once it's closed,
+//   so they follow its data (in a "data descriptor") as well as being in the central directory at the end.
+// * Archives are limited to 4 GB and 65535 files: there's no Zip64 here.
+// * The archive is written to a stream, and waits for it when it's full: the promises of `addFile`, `write`, and `finish`
+//   resolve once the stream can take more, so a slow client slows the archive down rather than filling memory.
+
+/* Example:
+
+    const zip = new ZipWriter(res);
+    await zip.addFile('hello.txt', 'Hello');
+    const sheet = zip.openFile('big.xml');
+    await sheet.write('<rows>');
+    // ...
+    await sheet.close();
+    await zip.finish();
+
+*/
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+    let c = (crc ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < buffer.length; i++) {
+        c = crcTable[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+};
+
+// MS-DOS time and date, which zip files keep their times in
+const dosDateTime = (date = new Date()) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// resolves once a stream wants more, or is closed (so that a client going away doesn't leave a writer waiting)
+const drained = stream => !stream.writableNeedDrain ? Promise.resolve() : new Promise(resolve => {
+    const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+});
+
+const DEFLATE = 8;
+const UTF8_NAMES = 0x0800;
+const DATA_DESCRIPTOR = 0x0008;
+
+class ZipWriter {
+
+    #output
+    #offset
+    #entries
+    #open
+
+    // output: a writable stream, e.g. the response
+    constructor(output) {
+        this.#output = output;
+        this.#offset = 0;
+        this.#entries = [];
+        this.#open = false;
+    }
+
+    // false once the output is full (see `drained`)
+    #put(buffer) {
+        this.#offset += buffer.length;
+        return this.#output.write(buffer);
+    }
+
+    #localHeader(entry) {
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(entry.flags, 6);
+        header.writeUInt16LE(DEFLATE, 8);
+        header.writeUInt16LE(entry.time, 10);
+        header.writeUInt16LE(entry.date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.compressed, 18);
+        header.writeUInt32LE(entry.size, 22);
+        header.writeUInt16LE(entry.name.length, 26);
+        header.writeUInt16LE(0, 28);
+        return Buffer.concat([header, entry.name]);
+    }
+
+    #centralHeader(entry) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(entry.flags, 8);
+        header.writeUInt16LE(DEFLATE, 10);
+        header.writeUInt16LE(entry.time, 12);
+        header.writeUInt16LE(entry.date, 14);
+        header.writeUInt32LE(entry.crc, 16);
+        header.writeUInt32LE(entry.compressed, 20);
+        header.writeUInt32LE(entry.size, 24);
+        header.writeUInt16LE(entry.name.length, 28);
+        // no extra field, comment, disk number, or attributes
+        header.writeUInt32LE(entry.offset, 42);
+        return Buffer.concat([header, entry.name]);
+    }
+
+    #entry(name, flags) {
+        if (this.#open) {
+            throw new Error('ZipWriter: close the open file first');
+        }
+        return { name: Buffer.from(name), flags: flags | UTF8_NAMES, ...dosDateTime(), crc: 0, compressed: 0, size: 0, offset: this.#offset };
+    }
+
+    async addFile(name, content) {
+        const data = Buffer.from(content);
+        const compressed = zlib.deflateRawSync(data);
+        const entry = { ...this.#entry(name, 0), crc: crc32(data), compressed: compressed.length, size: data.length };
+        this.#put(this.#localHeader(entry));
+        this.#put(compressed);
+        this.#entries.push(entry);
+        await drained(this.#output);
+    }
+
+    // => { write(content), close() }; nothing else can be added until it's closed
+    // what's written is deflated as the output takes it, and `write` resolves once the deflating has caught up
+    openFile(name) {
+        const entry = this.#entry(name, DATA_DESCRIPTOR);
+        this.#put(this.#localHeader(entry));
+        this.#open = true;
+        const deflate = zlib.createDeflateRaw();
+        deflate.on('data', compressed => {
+            entry.compressed += compressed.length;
+            if (!this.#put(compressed)) {
+                deflate.pause();
+                drained(this.#output).then(() => deflate.resume());
+            }
+        });
+        const ended = new Promise((resolve, reject) => deflate.on('end', resolve).on('error', reject));
+        return {
+            write: async content => {
+                const data = Buffer.from(content);
+                entry.crc = crc32(data, entry.crc);
+                entry.size += data.length;
+                if (!deflate.write(data)) {
+                    await once(deflate, 'drain');
+                }
+            },
+            close: async () => {
+                deflate.end();
+                await ended;
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(entry.crc, 4);
+                descriptor.writeUInt32LE(entry.compressed, 8);
+                descriptor.writeUInt32LE(entry.size, 12);
+                this.#put(descriptor);
+                this.#entries.push(entry);
+                this.#open = false;
+                await drained(this.#output);
+            },
+        };
+    }
+
+    // the central directory, after which nothing can be added
+    async finish() {
+        const start = this.#offset;
+        this.#entries.forEach(entry => this.#put(this.#centralHeader(entry)));
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.#entries.length, 8);
+        end.writeUInt16LE(this.#entries.length, 10);
+        end.writeUInt32LE(this.#offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        this.#put(end);
+        await drained(this.#output);
+    }
+
+}
+
+module.exports = {
+    crc32,
+    drained,
+    ZipWriter,
+}
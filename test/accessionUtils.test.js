@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { alphabet, checkCharacter, sequentialBody, randomBody, makeAccession, parseAccession, isValidAccession } = require('../src/utils/accessionUtils');
+
+const options = { prefix: 'DIG', separator: '-', check: true, length: 6 };
+
+test('the check character of a body', () => {
+    assert.strictEqual(checkCharacter('000042'), 'R');
+    assert.ok(alphabet.includes(checkCharacter('7ZZ9QX')));
+    assert.throws(() => checkCharacter('00U042'), /not in the alphabet/);
+});
+
+test('the check character catches any one mistyped character', () => {
+    const body = '3K7M9Q';
+    const check = checkCharacter(body);
+    for (let position = 0; position < body.length; position++) {
+        for (const character of alphabet) {
+            if (character === body[position]) {
+                continue;
+            }
+            const mistyped = `${body.slice(0, position)}${character}${body.slice(position + 1)}`;
+            assert.notStrictEqual(checkCharacter(mistyped), check, mistyped);
+        }
+    }
+});
+
+test('the check character catches swapped neighbours', () => {
+    assert.notStrictEqual(checkCharacter('000024'), checkCharacter('000042'));
+    assert.notStrictEqual(checkCharacter('3K7M9Q'), checkCharacter('K37M9Q'));
+});
+
+test('making accessions', () => {
+    assert.strictEqual(makeAccession('000042', options), 'DIG-000042R');
+    assert.strictEqual(makeAccession('000042', { ...options, check: false }), 'DIG-000042');
+    assert.strictEqual(sequentialBody(42, options), '000042');
+    const body = randomBody(options);
+    assert.strictEqual(body.length, 6);
+    assert.ok([...body].every(character => alphabet.includes(character)));
+});
+
+test('parsing accessions', () => {
+    assert.deepStrictEqual(parseAccession('DIG-000042R', options), {
+        prefix: 'DIG', body: '000042', check: 'R', valid: true, accession: 'DIG-000042R',
+    });
+    // whatever their case, and with the letters Crockford reads as digits
+    assert.strictEqual(parseAccession(' dig-ooo042r ', options).accession, 'DIG-000042R');
+    assert.strictEqual(parseAccession('DIG-000043R', options).error, 'wrong check character');
+    assert.strictEqual(parseAccession('ABC-000042R', options).error, 'accessions begin with DIG-');
+    assert.strictEqual(parseAccession('DIG-', options).error, 'not an accession');
+    assert.strictEqual(parseAccession('DIG-00U042R', options).error, 'not an accession');
+    assert.strictEqual(isValidAccession(makeAccession(randomBody(options), options), options), true);
+    assert.strictEqual(isValidAccession(null, options), false);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { makeRemoteAdapter, makeRemoteAdapters, isDatasetEntry } = require('../src/utils/adapterUtils');
+const { Aggregation } = require('../src/utils/aggregations');
+
+// a stand-in for the registry of another portal, answering each path as given
+function stubServer(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            const route = routes[req.url];
+            if (!route) {
+                res.writeHead(404).end();
+            } else if (route.hang) {
+                // never answers
+            } else {
+                res.writeHead(route.status || 200, { 'Content-Type': route.type || 'application/json' });
+                res.end(typeof route.body === 'string' ? route.body : JSON.stringify(route.body));
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+        url: path => `http://127.0.0.1:${server.address().port}${path}`,
+        requests,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(closed => server.close(closed));
+        },
+    })));
+}
+
+const annotations = {
+    data: {
+        annotations: [
+            { annotation_id: 'A1', tissue: { name: 'Islets' }, assays: ['ATAC-seq', 'ChIP-seq'], status: 'Open', source: 'DGA' },
+            { annotation_id: 'A2', tissue: { name: 'Liver' }, assays: ['RNA-seq'], status: 'Open', source: 'DGA' },
+            // no status, so it fails the schema check
+            { annotation_id: 'A3', tissue: { name: 'Adipose' }, assays: [], source: 'DGA' },
+        ],
+    },
+};
+
+const specification = url => ({
+    url,
+    body: { type: 'Annotation' },
+    results: 'data.annotations',
+    translate: {
+        accession_id: 'annotation_id',
+        name: 'tissue.name',
+        workflow: 'assays',
+        status: 'status',
+        source: 'source',
+    },
+    provide: {
+        organization: 'DGA',
+        datatype: 'annotation',
+        location: 'diabetesgenome.org',
+        description: '',
+    },
+});
+
+test('remote datasources are fetched and remapped onto our schema', async () => {
+    const server = await stubServer({ '/annotations': { body: annotations } });
+    try {
+        const entries = await makeRemoteAdapter(specification(server.url('/annotations')))({ where: {} });
+        assert.strictEqual(server.requests[0].method, 'POST');
+        assert.deepStrictEqual(JSON.parse(server.requests[0].body), { type: 'Annotation' });
+        assert.strictEqual(server.requests[0].headers['content-type'], 'application/json');
+        assert.strictEqual(entries.length, 3);
+        assert.deepStrictEqual(entries[0], {
+            accession_id: 'A1',
+            name: 'Islets',
+            workflow: 'ATAC-seq,ChIP-seq',
+            status: 'Open',
+            source: 'DGA',
+            organization: 'DGA',
+            datatype: 'annotation',
+            location: 'diabetesgenome.org',
+            description: '',
+        });
+        assert.ok(!('status' in entries[2]));
+    } finally {
+        await server.close();
+    }
+});
+
+test('the results are found without a path, and filtered by the query', async () => {
+    const server = await stubServer({ '/list': { body: annotations.data } });
+    try {
+        const { results, body, ...rest } = specification(server.url('/list'));
+        const entries = await makeRemoteAdapter(rest)({ where: { name: 'Liver' } });
+        assert.strictEqual(server.requests[0].method, 'GET');
+        assert.deepStrictEqual(entries.map(entry => entry.accession_id), ['A2']);
+    } finally {
+        await server.close();
+    }
+});
+
+test('entries that fail the schema check are rejected one by one', async () => {
+    const server = await stubServer({ '/annotations': { body: annotations } });
+    try {
+        const aggregation = new Aggregation(isDatasetEntry);
+        makeRemoteAdapters({
+            dga: { ...specification(server.url('/annotations')), label: 'DGA registry' },
+            off: { ...specification(server.url('/annotations')), enabled: false },
+        }).forEach(({ name, adapter, metadata }) => aggregation.bind(adapter, name, metadata));
+        const results = await aggregation.collect({ where: {} });
+        const [source] = Aggregation.sources(results);
+        assert.strictEqual(results.length, 1);
+        assert.strictEqual(source.label, 'DGA registry');
+        assert.strictEqual(source.count, 2);
+        assert.deepStrictEqual(source.rejected, ['missing properties: status']);
+        assert.strictEqual(source.error, null);
+    } finally {
+        await server.close();
+    }
+});
+
+test('datasources that answer with an error fail with it', async () => {
+    const server = await stubServer({
+        '/broken': { status: 500, type: 'text/html', body: '<html>Internal Server Error</html>' },
+        '/not-json': { body: '<html>maintenance</html>' },
+        '/no-results': { body: { data: {} } },
+    });
+    try {
+        await assert.rejects(makeRemoteAdapter({ url: server.url('/broken') })({ where: {} }), /answered 500/);
+        await assert.rejects(makeRemoteAdapter({ url: server.url('/not-json') })({ where: {} }), /json/i);
+        await assert.rejects(makeRemoteAdapter({ url: server.url('/no-results'), results: 'data.annotations' })({ where: {} }), /no array of results/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('datasources that take too long fail, without holding up the others', async () => {
+    const server = await stubServer({ '/slow': { hang: true }, '/annotations': { body: annotations } });
+    try {
+        const aggregation = new Aggregation(isDatasetEntry)
+            .bind(makeRemoteAdapter({ url: server.url('/slow'), timeout: 0.2 }), 'slow')
+            .bind(makeRemoteAdapter(specification(server.url('/annotations'))), 'dga');
+        const [slow, dga] = Aggregation.sources(await aggregation.collect({ where: {} }));
+        assert.match(slow.error, /didn't answer within 0.2 seconds/);
+        assert.strictEqual(dga.count, 2);
+    } finally {
+        await server.close();
+    }
+});
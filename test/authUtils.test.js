@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { signJWT, verifyJWT, signToken, verifyToken, tokenPurposes, mayResendToken, resendEvery } = require('../src/utils/authUtils');
+
+const secret = 'test secret';
+
+// a token with its payload (or header) replaced, and the signature it had
+const replacing = (token, index, value) => token.split('.')
+    .map((part, at) => at === index ? Buffer.from(JSON.stringify(value)).toString('base64url') : part)
+    .join('.');
+
+test('JWTs signed by us are verified', () => {
+    const token = signJWT({ sub: 3, jti: 'abc' }, 60, secret);
+    const payload = verifyJWT(token, secret);
+    assert.strictEqual(payload.sub, 3);
+    assert.strictEqual(payload.jti, 'abc');
+    assert.strictEqual(payload.exp - payload.iat, 60);
+});
+
+test('JWTs that were changed, expired or signed by others are not', () => {
+    const token = signJWT({ sub: 3 }, 60, secret);
+    assert.strictEqual(verifyJWT(token, 'another secret'), null);
+    assert.strictEqual(verifyJWT(replacing(token, 1, { sub: 1, exp: 9999999999 }), secret), null);
+    assert.strictEqual(verifyJWT(replacing(token, 0, { alg: 'none', typ: 'JWT' }), secret), null);
+    assert.strictEqual(verifyJWT(`${token.split('.').slice(0, 2).join('.')}.`, secret), null);
+    assert.strictEqual(verifyJWT(`${token}.extra`, secret), null);
+    assert.strictEqual(verifyJWT(signJWT({ sub: 3 }, -1, secret), secret), null);
+    assert.strictEqual(verifyJWT(undefined, secret), null);
+    assert.strictEqual(verifyJWT('not a token', secret), null);
+});
+
+test('single use tokens are verified the same way', () => {
+    const token = signToken({ purpose: 'CONFIRM', sub: 3 }, 60, secret);
+    assert.strictEqual(verifyToken(token, secret).purpose, 'CONFIRM');
+    assert.strictEqual(verifyToken(token, 'another secret'), null);
+    assert.strictEqual(verifyToken(signToken({ sub: 3 }, -1, secret), secret), null);
+});
+
+test('tokens are sent again to an account only once they have waited long enough', () => {
+    const sent = new Date('2026-03-01T12:00:00Z');
+    const later = seconds => new Date(sent.getTime() + seconds * 1000);
+    assert.strictEqual(mayResendToken(tokenPurposes.CONFIRM, null, sent, 300), true);
+    assert.strictEqual(mayResendToken(tokenPurposes.CONFIRM, sent, later(60), 300), false);
+    assert.strictEqual(mayResendToken(tokenPurposes.CONFIRM, sent, later(300), 300), true);
+    assert.strictEqual(mayResendToken(tokenPurposes.CONFIRM, sent.toISOString(), later(299), 300), false);
+    assert.strictEqual(mayResendToken(tokenPurposes.CONFIRM, sent, sent, 0), true);
+});
+
+test('how long to wait is configured for each purpose', () => {
+    assert.strictEqual(resendEvery(tokenPurposes.CONFIRM), 300);
+    assert.strictEqual(resendEvery(tokenPurposes.PASSWORD_RESET), 300);
+    assert.strictEqual(resendEvery('UNKNOWN'), 300);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SourceCache } = require('../src/utils/cacheUtils');
+
+const options = { ttl: 60, stale_while_revalidate: 120, fallback: 3600 };
+
+// a source that answers with how many times it was asked, or fails when told to
+const source = () => {
+    const asked = { count: 0, failing: false };
+    asked.fetch = async () => {
+        asked.count++;
+        if (asked.failing) {
+            throw new Error('the source is down');
+        }
+        return [asked.count];
+    };
+    return asked;
+};
+
+// the cache tells time with Date.now, which the tests move on by hand
+const clock = t => {
+    let now = Date.parse('2026-03-01T00:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    return seconds => now += seconds * 1000;
+};
+
+test('fresh entries are served without asking the source', async t => {
+    const wait = clock(t);
+    const cache = new SourceCache(options);
+    const remote = source();
+    assert.deepStrictEqual(await cache.get('q', remote.fetch).then(({ value, cached, stale }) => ({ value, cached, stale })), { value: [1], cached: false, stale: false });
+    wait(59);
+    const entry = await cache.get('q', remote.fetch);
+    assert.deepStrictEqual([entry.value, entry.cached, entry.stale], [[1], true, false]);
+    assert.strictEqual(remote.count, 1);
+});
+
+test('stale entries are served while the source is asked again', async t => {
+    const wait = clock(t);
+    const cache = new SourceCache(options);
+    const remote = source();
+    await cache.get('q', remote.fetch);
+    wait(90);
+    const stale = await cache.get('q', remote.fetch);
+    assert.deepStrictEqual([stale.value, stale.cached, stale.stale], [[1], true, true]);
+    await new Promise(setImmediate);
+    assert.strictEqual(remote.count, 2);
+    const revalidated = await cache.get('q', remote.fetch);
+    assert.deepStrictEqual([revalidated.value, revalidated.stale], [[2], false]);
+});
+
+test('entries past their staleness are replaced, waiting for the source', async t => {
+    const wait = clock(t);
+    const cache = new SourceCache(options);
+    const remote = source();
+    await cache.get('q', remote.fetch);
+    wait(181);
+    const entry = await cache.get('q', remote.fetch);
+    assert.deepStrictEqual([entry.value, entry.cached], [[2], false]);
+});
+
+test('the last good answer is served while the source fails, until it is too old', async t => {
+    const wait = clock(t);
+    const cache = new SourceCache(options);
+    const remote = source();
+    await cache.get('q', remote.fetch);
+    remote.failing = true;
+    wait(600);
+    const fallback = await cache.get('q', remote.fetch);
+    assert.deepStrictEqual([fallback.value, fallback.cached, fallback.stale], [[1], true, true]);
+    assert.match(fallback.error.message, /the source is down/);
+    wait(3000);
+    await assert.rejects(cache.get('q', remote.fetch), /the source is down/);
+});
+
+test('sources are asked once for a query, however many wait on it', async () => {
+    const cache = new SourceCache(options);
+    const remote = source();
+    const entries = await Promise.all([cache.get('q', remote.fetch), cache.get('q', remote.fetch), cache.get('other', remote.fetch)]);
+    assert.deepStrictEqual(entries.map(entry => entry.value), [[1], [1], [2]]);
+    assert.strictEqual(remote.count, 2);
+});
+
+test('only so many queries are remembered, and clearing forgets them all', async () => {
+    const cache = new SourceCache({ ...options, max_entries: 2 });
+    const remote = source();
+    await cache.get('a', remote.fetch);
+    await cache.get('b', remote.fetch);
+    await cache.get('c', remote.fetch);
+    assert.strictEqual((await cache.get('b', remote.fetch)).cached, true);
+    assert.strictEqual((await cache.get('a', remote.fetch)).cached, false);
+    cache.clear();
+    assert.strictEqual((await cache.get('c', remote.fetch)).cached, false);
+});
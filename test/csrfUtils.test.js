@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { csrfToken, csrfProtection } = require('../src/utils/csrfUtils');
+
+// just enough of a request and a response for the middleware
+const request = ({ method = 'POST', session = {}, body = {}, headers = {}, auth = { type: 'session' } } = {}) => ({
+    method,
+    session,
+    body,
+    auth,
+    get: name => headers[name],
+});
+const protect = req => {
+    const res = { statusCode: null, body: null };
+    res.status = code => { res.statusCode = code; return res; };
+    res.send = body => { res.body = body; return res; };
+    let passed = false;
+    csrfProtection(req, res, () => passed = true);
+    return passed ? 'next' : res.statusCode;
+};
+
+test('each session keeps the token it was issued', () => {
+    const session = {};
+    const token = csrfToken({ session });
+    assert.match(token, /^[0-9a-f]{64}$/);
+    assert.strictEqual(csrfToken({ session }), token);
+    assert.notStrictEqual(csrfToken({ session: {} }), token);
+});
+
+test('the token is accepted from a form field or a header', () => {
+    const session = {};
+    const token = csrfToken({ session });
+    assert.strictEqual(protect(request({ session, body: { _csrf: token } })), 'next');
+    assert.strictEqual(protect(request({ session, headers: { 'X-CSRF-Token': token } })), 'next');
+});
+
+test('changes without the token of the session are refused', () => {
+    const session = {};
+    const token = csrfToken({ session });
+    assert.strictEqual(protect(request({ session })), 403);
+    assert.strictEqual(protect(request({ session, body: { _csrf: token.slice(1) } })), 403);
+    assert.strictEqual(protect(request({ session, body: { _csrf: csrfToken({ session: {} }) } })), 403);
+    // a session that was never issued a token can't be matched, even by an empty one
+    assert.strictEqual(protect(request({ session: {}, body: { _csrf: '' } })), 403);
+    assert.strictEqual(protect(request({ method: 'DELETE', session, headers: { 'X-CSRF-Token': 'guess' } })), 403);
+});
+
+test('reads, and requests with a bearer token, need no token', () => {
+    ['GET', 'HEAD', 'OPTIONS'].forEach(method => assert.strictEqual(protect(request({ method })), 'next'));
+    assert.strictEqual(protect(request({ auth: { type: 'bearer', scopes: [] } })), 'next');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { nextDigestAt, isDigestDue, digestSummary } = require('../src/utils/digestUtils');
+
+const daily = { frequency: 'DAILY', hour: 8, weekday: 1, last_sent_at: null };
+// 2026-10-19 is a Monday
+const at = time => new Date(`2026-10-${time}Z`);
+
+test('daily digests are due at their hour', () => {
+    assert.deepStrictEqual(nextDigestAt(daily, at('19T07:00:00')), at('19T08:00:00'));
+    assert.deepStrictEqual(nextDigestAt(daily, at('19T08:00:00')), at('20T08:00:00'));
+    assert.deepStrictEqual(nextDigestAt(daily, at('19T10:00:00')), at('20T08:00:00'));
+});
+
+test('weekly digests are due on their weekday', () => {
+    const weekly = { ...daily, frequency: 'WEEKLY', weekday: 3 };
+    assert.deepStrictEqual(nextDigestAt(weekly, at('19T10:00:00')), at('21T08:00:00'));
+    assert.deepStrictEqual(nextDigestAt(weekly, at('21T09:00:00')), at('28T08:00:00'));
+});
+
+test('a digest waits for its time after the oldest event in it', () => {
+    assert.strictEqual(isDigestDue(daily, at('19T10:00:00'), at('19T10:05:00')), false);
+    assert.strictEqual(isDigestDue(daily, at('19T10:00:00'), at('20T08:00:00')), true);
+});
+
+test('an event after the last digest waits for the next one, not the one already sent', () => {
+    const sent = { ...daily, last_sent_at: at('18T08:00:00') };
+    assert.strictEqual(isDigestDue(sent, at('19T10:00:00'), at('19T10:05:00')), false);
+    assert.strictEqual(isDigestDue(sent, at('19T10:00:00'), at('20T08:00:00')), true);
+    // an event from before the last digest was sent (and not in it) goes in the next one
+    assert.strictEqual(isDigestDue({ ...daily, last_sent_at: at('19T08:00:00') }, at('18T09:00:00'), at('19T10:00:00')), false);
+    assert.strictEqual(isDigestDue({ ...daily, last_sent_at: at('19T08:00:00') }, at('18T09:00:00'), at('20T08:00:00')), true);
+});
+
+test('digests list events, stage changes and deadlines per dataset', () => {
+    const now = at('19T08:00:00');
+    const summary = digestSummary({
+        items: [
+            { accession_id: 'DIG-000042R', event: 'UPLOAD_SUCCESS', params: { name: 'Example GWAS' }, createdAt: at('18T10:00:00') },
+            { accession_id: 'DIG-000042R', event: 'UPLOAD_ERROR', params: { error: 'disk full' }, createdAt: at('18T09:00:00') },
+        ],
+        transitions: [{ accession_id: 'DIG-000042R', from_stage: null, to_stage: 'REGISTERED', createdAt: at('18T08:30:00') }],
+    }, now);
+    assert.match(summary, /^## Example GWAS #DIG-000042R/);
+    assert.match(summary, /new → REGISTERED/);
+    assert.match(summary, /UPLOAD_SUCCESS/);
+    assert.match(summary, /\*\*Failures\*\*\n\n.*UPLOAD_ERROR \(disk full\)/);
+});
+
+test('datasets with nothing but a deadline coming are in the digest', () => {
+    const now = at('19T08:00:00');
+    const summary = digestSummary({
+        items: [],
+        deadlines: { 'DIG-000042R': at('21T00:00:00'), 'DIG-000043T': new Date('2027-01-01T00:00:00Z') },
+        names: { 'DIG-000042R': 'Example GWAS' },
+    }, now);
+    assert.match(summary, /## Example GWAS #DIG-000042R\n\n\*\*Upcoming deadline\*\*/);
+    assert.ok(!summary.includes('DIG-000043T'));
+    assert.strictEqual(digestSummary({ items: [], deadlines: { 'DIG-000042R': at('18T00:00:00') } }, now), '');
+});
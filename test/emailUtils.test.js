@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { renderEmail, transferParams, formatSize } = require('../src/utils/emailUtils');
+const { events } = require('../src/events');
+
+const day = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T00:00:00Z');
+
+// a dataset and its upload request, as the broker gets them from `getDatasetUploadRequest`
+const dataset = {
+    id: 7,
+    accession_id: 'DIG0000427',
+    name: 'Islet ATAC-seq',
+    organization: 'Broad Institute',
+    datatype: 'ATAC-seq',
+    embargo_date: null,
+    updatedAt: new Date('2026-02-20T00:00:00Z'),
+};
+const asperaRequest = {
+    id: 3,
+    dataset_id: 7,
+    version: 2,
+    aspera: 'session-123',
+    link: 'https://transfers.example.org/session-123',
+    deadline: new Date(now.getTime() + 30 * day),
+    author: 'Jane Doe',
+    status: events.transfers.UPLOAD_START,
+    dataset,
+};
+// opened by the first chunk uploaded through the portal, without asking for an upload
+const browserRequest = { ...asperaRequest, aspera: '', link: '', deadline: null, author: '' };
+
+// the params each kind of email is written with (see actors.js and app.js)
+const transfers = [
+    ['aspera uploads', asperaRequest, { accession_id: dataset.accession_id, author: 'Jane Doe' }, { count: 0, bytes: 0 }],
+    ['browser uploads', browserRequest, { accession_id: dataset.accession_id, upload_id: 'u1', filename: 'peaks.bed' }, { count: 2, bytes: 1500000000 }],
+];
+const otherParams = {
+    // only datasets with an embargo date have their embargo lifted
+    [events.datasets.EMBARGO_LIFTED]: { ...dataset, embargo_date: new Date(now.getTime() - day), dataset_id: dataset.id, embargo_lifted_at: now },
+    [events.notifications.DIGEST]: { name: 'Jane Doe', period: 'daily', since: now, count: 0, summary: 'Nothing new.' },
+    [events.accounts.REGISTERED]: { name: 'Jane Doe', username: 'jdoe', confirmlink: 'https://example.org/confirm' },
+    [events.accounts.REGISTERED_ADMIN]: { name: 'Jane Doe', username: 'jdoe', confirmlink: 'https://example.org/confirm' },
+    [events.accounts.PASSWORD_RESET]: { name: 'Jane Doe', username: 'jdoe', resetlink: 'https://example.org/reset' },
+};
+
+// templates named for an event are sent; the others (data-intake-emails.md) are notes
+const eventTemplates = fs.readdirSync(path.join(__dirname, '..', 'templates'))
+    .map(file => path.basename(file, '.md'))
+    .filter(name => /^[A-Z_]+$/.test(name));
+
+test('every template that is sent is one we know the params of', () => {
+    const transferEvents = Object.values(events.transfers);
+    eventTemplates.forEach(name => assert.ok(transferEvents.includes(name) || name in otherParams, name));
+});
+
+transfers.forEach(([kind, uploadRequest, params, files]) => {
+    test(`the emails about ${kind} fill every placeholder`, () => {
+        eventTemplates.filter(name => Object.values(events.transfers).includes(name)).forEach(name => {
+            let filled = transferParams(params, uploadRequest, files, now);
+            if (name === events.transfers.DOWNLOAD_REMINDER) {
+                // reminders are only scheduled for requests with a deadline, and say how long is left
+                filled = { ...transferParams(params, asperaRequest, files, now), n: 14 };
+            }
+            const email = renderEmail(name, filled);
+            assert.deepStrictEqual(email.missing, [], name);
+            assert.doesNotMatch(email.text, /{{|}}/, name);
+        });
+    });
+});
+
+test('the other emails fill every placeholder', () => {
+    Object.entries(otherParams).forEach(([name, params]) => {
+        const email = renderEmail(name, params);
+        assert.deepStrictEqual(email.missing, [], name);
+        assert.doesNotMatch(email.text, /{{|}}/, name);
+    });
+});
+
+test('the emails say what is known about the upload', () => {
+    const aspera = renderEmail(events.transfers.UPLOAD_SUCCESS, transferParams({}, asperaRequest, undefined, now)).text;
+    assert.match(aspera, /You have 30 days/);
+    assert.match(aspera, /session ID session-123/);
+    const browser = renderEmail(events.transfers.UPLOAD_SUCCESS, transferParams({}, browserRequest, { count: 2, bytes: 1500000000 }, now)).text;
+    assert.match(browser, /There are 2 files, of 1.5 GB/);
+    assert.match(browser, /deadline for downloading the dataset Islet ATAC-seq v2 is not set/);
+    const requested = renderEmail(events.transfers.UPLOAD_REQUESTED, transferParams({}, asperaRequest, undefined, now)).text;
+    assert.match(requested, /Jane Doe wants to upload a ATAC-seq dataset called Islet ATAC-seq/);
+});
+
+test('sizes are given in the largest unit that fits', () => {
+    assert.strictEqual(formatSize(0), '0 bytes');
+    assert.strictEqual(formatSize(999), '999 bytes');
+    assert.strictEqual(formatSize(1500), '1.5 KB');
+    assert.strictEqual(formatSize(2000000), '2 MB');
+    assert.strictEqual(formatSize(1500000000), '1.5 GB');
+});
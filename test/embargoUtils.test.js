@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { isEmbargoed, announceSince, daysUntil } = require('../src/utils/embargoUtils');
+
+const hour = 60 * 60 * 1000;
+const day = 24 * hour;
+const now = new Date('2026-03-01T12:00:00Z');
+const ago = ms => new Date(now.getTime() - ms);
+
+test('datasets are under embargo until their embargo date', () => {
+    assert.strictEqual(isEmbargoed({ embargo_date: new Date(now.getTime() + hour) }, now), true);
+    assert.strictEqual(isEmbargoed({ embargo_date: now }, now), false);
+    assert.strictEqual(isEmbargoed({ embargo_date: ago(hour).toISOString() }, now), false);
+});
+
+test('datasets without an embargo date, or one that cannot be read, are not under embargo', () => {
+    [null, undefined, '', 'someday'].forEach(embargo_date => assert.strictEqual(isEmbargoed({ embargo_date }, now), false));
+    assert.strictEqual(isEmbargoed(null, now), false);
+});
+
+// the embargo job announces the embargoes that ended after this time (see actors.js)
+const announced = (embargo_date, since) => embargo_date > since;
+
+test('embargoes that ended since the job last ran are announced', () => {
+    const since = announceSince(ago(hour), ago(3 * day), now, { check_every: 3600 });
+    assert.deepStrictEqual(since, ago(hour));
+    assert.strictEqual(announced(ago(30 * 60 * 1000), since), true);
+    assert.strictEqual(announced(ago(2 * hour), since), false);
+});
+
+test('after a restart, embargoes that ended since the last one lifted are announced', () => {
+    const since = announceSince(null, ago(6 * hour), now, { check_every: 3600 });
+    assert.deepStrictEqual(since, ago(6 * hour));
+    // it ended while the app was down
+    assert.strictEqual(announced(ago(3 * hour), since), true);
+    assert.strictEqual(announced(ago(2 * day), since), false);
+});
+
+test('the first time ever, only the embargoes that ended within one check are announced', () => {
+    const since = announceSince(null, null, now, { check_every: 3600 });
+    assert.deepStrictEqual(since, ago(hour));
+    assert.strictEqual(announced(ago(30 * 60 * 1000), since), true);
+    assert.strictEqual(announced(ago(365 * day), since), false);
+});
+
+test('the days until an embargo ends count part of a day as a day', () => {
+    assert.strictEqual(daysUntil('2030-01-01', new Date('2029-12-30T12:00:00Z')), 2);
+    assert.strictEqual(daysUntil(new Date(now.getTime() + day), now), 1);
+    assert.strictEqual(daysUntil(new Date(now.getTime() + day + 1), now), 2);
+    assert.strictEqual(daysUntil(ago(day), now), 0);
+});
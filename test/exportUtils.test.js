@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Writable } = require('stream');
+
+const { crc32, ZipWriter } = require('../src/utils/zipUtils');
+const { exportFormats, chooseColumns } = require('../src/utils/exportUtils');
+const { escapeCell, delimitedLine, toDelimited } = require('../src/utils/csvUtils');
+
+// the files of a zip archive, read from its central directory, each checked against its CRC
+function readZip(archive) {
+    const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    assert.ok(end >= 0, 'no end of central directory');
+    const count = archive.readUInt16LE(end + 10);
+    let offset = archive.readUInt32LE(end + 16);
+    const files = {};
+    for (let index = 0; index < count; index++) {
+        assert.strictEqual(archive.readUInt32LE(offset), 0x02014b50);
+        const crc = archive.readUInt32LE(offset + 16);
+        const compressed = archive.readUInt32LE(offset + 20);
+        const size = archive.readUInt32LE(offset + 24);
+        const nameLength = archive.readUInt16LE(offset + 28);
+        const local = archive.readUInt32LE(offset + 42);
+        const name = archive.subarray(offset + 46, offset + 46 + nameLength).toString();
+        assert.strictEqual(archive.readUInt32LE(local), 0x04034b50);
+        const start = local + 30 + archive.readUInt16LE(local + 26) + archive.readUInt16LE(local + 28);
+        const data = zlib.inflateRawSync(archive.subarray(start, start + compressed));
+        assert.strictEqual(data.length, size, name);
+        assert.strictEqual(crc32(data), crc, name);
+        files[name] = data.toString();
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+// a client that takes what's written to it a little at a time, or nothing at all until it's resumed
+const collect = ({ paused = false } = {}) => {
+    const chunks = [];
+    let waiting = [];
+    const output = new Writable({
+        highWaterMark: 1024,
+        write: (chunk, encoding, callback) => {
+            chunks.push(Buffer.from(chunk));
+            paused ? waiting.push(callback) : setImmediate(callback);
+        },
+    });
+    output.resume = () => {
+        paused = false;
+        waiting.forEach(callback => setImmediate(callback));
+        waiting = [];
+    };
+    // everything written, once the client has taken it
+    output.written = () => new Promise(resolve => output.end(() => resolve(Buffer.concat(chunks))));
+    return output;
+};
+
+test('crc32', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.strictEqual(crc32(Buffer.from('56789'), crc32(Buffer.from('1234'))), 0xCBF43926);
+});
+
+test('zip archives hold what was added and written to them', async () => {
+    const output = collect();
+    const zip = new ZipWriter(output);
+    await zip.addFile('hello.txt', 'Hello');
+    const big = zip.openFile('dir/big.txt');
+    await assert.rejects(zip.addFile('other.txt', ''), /close the open file first/);
+    for (let line = 0; line < 1000; line++) {
+        await big.write(`line ${line}\n`);
+    }
+    await big.close();
+    await zip.addFile('ünïcode.txt', '');
+    await zip.finish();
+    const files = readZip(await output.written());
+    assert.deepStrictEqual(Object.keys(files), ['hello.txt', 'dir/big.txt', 'ünïcode.txt']);
+    assert.strictEqual(files['hello.txt'], 'Hello');
+    assert.strictEqual(files['dir/big.txt'].split('\n').length, 1001);
+    assert.strictEqual(files['ünïcode.txt'], '');
+});
+
+test('XLSX exports are workbooks with a row per dataset', async () => {
+    const output = collect();
+    const writer = await exportFormats.xlsx.open(output, ['accession_id', 'name', 'count']);
+    await writer.row(['DIG-000042R', 'A & B <GWAS>', 3]);
+    await writer.row(['DIG-000043T', null, undefined]);
+    await writer.end();
+    const files = readZip(await output.written());
+    assert.ok(files['[Content_Types].xml'].includes('/xl/worksheets/sheet1.xml'));
+    assert.ok(files['xl/workbook.xml'].includes('r:id="rId1"'));
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.strictEqual((sheet.match(/<row>/g) || []).length, 3);
+    assert.ok(sheet.includes('<t xml:space="preserve">A &amp; B &lt;GWAS&gt;</t>'));
+    assert.ok(sheet.includes('<c><v>3</v></c>'));
+    assert.ok(sheet.endsWith('</sheetData></worksheet>'));
+});
+
+test('large exports wait for the client, rather than piling up in memory', async () => {
+    // about 2 MB of rows that hardly compress
+    const rows = Array.from({ length: 2000 }, (_, index) => [index, crypto.randomBytes(512).toString('hex')]);
+    for (const format of Object.keys(exportFormats)) {
+        const output = collect({ paused: true });
+        let given = 0;
+        const exporting = (async () => {
+            const writer = await exportFormats[format].open(output, ['index', 'noise']);
+            for (const row of rows) {
+                await writer.row(row);
+                given++;
+            }
+            await writer.end();
+        })();
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.ok(given < 100, `${format}: ${given} rows were given to a client that took none`);
+        output.resume();
+        await exporting;
+        assert.strictEqual(given, rows.length, format);
+        assert.ok((await output.written()).length > 1000 * 1024, format);
+    }
+    const output = collect();
+    const writer = await exportFormats.xlsx.open(output, ['index', 'noise']);
+    for (const row of rows.slice(0, 10)) {
+        await writer.row(row);
+    }
+    await writer.end();
+    assert.strictEqual((readZip(await output.written())['xl/worksheets/sheet1.xml'].match(/<row>/g) || []).length, 11);
+});
+
+test('CSV and JSON lines exports have a line per row', async () => {
+    const csv = collect();
+    const csvWriter = await exportFormats.csv.open(csv, ['accession_id', 'name']);
+    await csvWriter.row(['DIG-000042R', 'A, B']);
+    await csvWriter.end();
+    assert.strictEqual((await csv.written()).toString(), 'accession_id,name\r\nDIG-000042R,"A, B"\r\n');
+    const jsonl = collect();
+    const jsonlWriter = await exportFormats.jsonl.open(jsonl, ['accession_id', 'name']);
+    await jsonlWriter.row(['DIG-000042R', undefined]);
+    await jsonlWriter.end();
+    assert.strictEqual((await jsonl.written()).toString(), '{"accession_id":"DIG-000042R"}\n');
+});
+
+test('users choose their columns, in their order, from those they may have', () => {
+    const available = ['datasource', 'accession_id', 'name', 'organization'];
+    assert.deepStrictEqual(chooseColumns(available, undefined), available);
+    assert.deepStrictEqual(chooseColumns(available, ''), available);
+    assert.deepStrictEqual(chooseColumns(available, 'name, datasource,name'), ['name', 'datasource']);
+    assert.deepStrictEqual(chooseColumns(available, ['organization', 'accession_id']), ['organization', 'accession_id']);
+    assert.throws(() => chooseColumns(available, 'name,principal_investigator,user_id'), /cannot export principal_investigator, user_id/);
+});
+
+test('CSV cells are quoted only when they have to be', () => {
+    assert.strictEqual(escapeCell('plain'), 'plain');
+    assert.strictEqual(escapeCell('a,b'), '"a,b"');
+    assert.strictEqual(escapeCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(escapeCell('a\tb', '\t'), '"a\tb"');
+    assert.strictEqual(escapeCell(new Date('2026-10-19T00:00:00Z')), '2026-10-19T00:00:00.000Z');
+    assert.strictEqual(delimitedLine(['a', null, { b: 1 }]), 'a,,"{""b"":1}"\r\n');
+    assert.strictEqual(toDelimited([{ a: 1, b: 2 }], ['b', 'a']), 'b,a\r\n2,1\r\n');
+});
+
+test('CSV cells are never read as formulas', () => {
+    assert.strictEqual(escapeCell('=HYPERLINK("http://example.org")'), '"\'=HYPERLINK(""http://example.org"")"');
+    ['+1', '-1', '@SUM(A1)', '\rx'].forEach(text => assert.ok(escapeCell(text).replace(/^"/, '').startsWith(`'${text[0]}`), text));
+    assert.strictEqual(escapeCell('\t1', '\t'), `"'\t1"`);
+    assert.strictEqual(escapeCell(-1), '-1');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { lifecycle } = require('../src/lifecycle');
+const { nextStages, isStage, canTransition } = require('../src/utils/lifecycleUtils');
+
+const { stages, transitions } = lifecycle;
+
+// every stage the lifecycle can reach from a stage, in any number of moves
+const reachableFrom = stage => {
+    const seen = new Set([stage]);
+    const queue = [stage];
+    while (queue.length > 0) {
+        transitions[queue.shift()].filter(next => !seen.has(next)).forEach(next => {
+            seen.add(next);
+            queue.push(next);
+        });
+    }
+    return seen;
+};
+
+test('every stage has its moves, and they only lead to stages', () => {
+    assert.deepStrictEqual(Object.keys(transitions).sort(), Object.values(stages).sort());
+    Object.values(transitions).flat().forEach(stage => assert.ok(isStage(stage), stage));
+    assert.ok(isStage(lifecycle.initial));
+});
+
+test('every stage can be reached from registration, and can reach the portal', () => {
+    assert.deepStrictEqual([...reachableFrom(lifecycle.initial)].sort(), Object.values(stages).sort());
+    Object.values(stages).forEach(stage => assert.ok(reachableFrom(stage).has(stages.LIVE), stage));
+    assert.deepStrictEqual(nextStages(stages.LIVE), []);
+});
+
+test('datasets move forward one stage at a time', () => {
+    assert.strictEqual(canTransition(stages.REGISTERED, stages.COMPLIANCE_COMPLETE), true);
+    assert.strictEqual(canTransition(stages.REGISTERED, stages.TRANSFERRED), false);
+    assert.strictEqual(canTransition(stages.LOADED, stages.LIVE), false);
+    assert.strictEqual(canTransition(stages.LIVE, stages.REGISTERED), false);
+});
+
+test('summary level data can skip the individual level QC and analysis', () => {
+    assert.deepStrictEqual(nextStages(stages.INVENTORIED), [stages.QC_STARTED, stages.LOADED]);
+});
+
+test('reviews can send a dataset back to the stage under review', () => {
+    assert.strictEqual(canTransition(stages.QC_REVIEW, stages.QC_STARTED), true);
+    assert.strictEqual(canTransition(stages.ANALYSIS_REVIEW, stages.ANALYSIS_STARTED), true);
+    assert.strictEqual(canTransition(stages.QA_REVIEW, stages.LOADED), true);
+    assert.strictEqual(canTransition(stages.QC_STARTED, stages.INVENTORIED), false);
+});
+
+test('datasets without a stage are treated as newly registered', () => {
+    assert.deepStrictEqual(nextStages(null), [stages.COMPLIANCE_COMPLETE]);
+    assert.strictEqual(canTransition(undefined, stages.COMPLIANCE_COMPLETE), true);
+});
+
+test('moves to stages that do not exist are refused', () => {
+    assert.strictEqual(canTransition(stages.REGISTERED, 'COMPLIANCE'), false);
+    assert.strictEqual(canTransition('NOWHERE', stages.COMPLIANCE_COMPLETE), false);
+    assert.strictEqual(isStage('toString'), false);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { asyncRoute, errorHandler } = require('../src/utils/logUtils');
+
+const response = (headersSent = false) => {
+    const res = { headersSent, status: null };
+    res.sendStatus = code => res.status = code;
+    return res;
+};
+const quietRequest = () => ({ method: 'GET', path: '/do/datasets/search', log: { error: () => {} } });
+
+test('async routes that fail are passed on to the error handler', async () => {
+    const failure = new Error('the database is gone');
+    const passed = await new Promise(resolve => asyncRoute(async () => { throw failure; })({}, {}, resolve));
+    assert.strictEqual(passed, failure);
+});
+
+test('async routes that answer are left alone', async () => {
+    const res = response();
+    await asyncRoute(async (req, res) => res.sendStatus(204))({}, res, () => assert.fail('next'));
+    assert.strictEqual(res.status, 204);
+});
+
+test('errors are answered with a 500, unless the route had started to answer', () => {
+    const failure = new Error('the database is gone');
+    const res = response();
+    errorHandler(failure, quietRequest(), res, () => assert.fail('next'));
+    assert.strictEqual(res.status, 500);
+    let passed = null;
+    errorHandler(failure, quietRequest(), response(true), error => passed = error);
+    assert.strictEqual(passed, failure);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { outboxOptions, nextAttemptAt, stuckBefore } = require('../src/utils/outboxUtils');
+
+const now = new Date('2026-03-01T00:00:00Z');
+const options = { max_attempts: 6, backoff: 60, max_backoff: 6 * 60 * 60, sending_timeout: 10 * 60 };
+const secondsLater = date => (date.getTime() - now.getTime()) / 1000;
+
+test('failed emails are tried again after a backoff that doubles with each failure', () => {
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempts => secondsLater(nextAttemptAt(attempts, now, options))), [60, 120, 240, 480, 960]);
+});
+
+test('the backoff never grows past its maximum', () => {
+    const patient = { ...options, max_attempts: 20 };
+    assert.strictEqual(secondsLater(nextAttemptAt(9, now, patient)), 60 * 256);
+    assert.strictEqual(secondsLater(nextAttemptAt(10, now, patient)), 6 * 60 * 60);
+    assert.strictEqual(secondsLater(nextAttemptAt(19, now, patient)), 6 * 60 * 60);
+});
+
+test('emails that failed every attempt are dead', () => {
+    assert.notStrictEqual(nextAttemptAt(5, now, options), null);
+    assert.strictEqual(nextAttemptAt(6, now, options), null);
+    assert.strictEqual(nextAttemptAt(7, now, options), null);
+    assert.strictEqual(nextAttemptAt(1, now, { ...options, max_attempts: 1 }), null);
+});
+
+test('emails left sending past the timeout are stuck', () => {
+    assert.strictEqual(secondsLater(stuckBefore(now, options)), -10 * 60);
+});
+
+test('the outbox options default what the configuration leaves out', () => {
+    const { check_every, max_attempts, backoff, max_backoff, sending_timeout } = outboxOptions();
+    [check_every, max_attempts, backoff, max_backoff, sending_timeout].forEach(option => assert.ok(Number.isFinite(option) && option > 0));
+    assert.ok(backoff <= max_backoff);
+});
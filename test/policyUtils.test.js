@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { canSeeOrganization, canSeeDataset } = require('../src/utils/policyUtils');
+const { roles } = require('../src/roles');
+
+// the policy of config.yml: the datasets of DGA are visible to DGA and Broad
+const broad = { id: 1, role: roles.UPLOADER, organization: 'Broad' };
+const other = { id: 2, role: roles.UPLOADER, organization: 'Elsewhere' };
+
+test('organizations are seen by their own users, and those the policy lets in', () => {
+    assert.strictEqual(canSeeOrganization(broad, 'Broad'), true);
+    assert.strictEqual(canSeeOrganization(broad, 'DGA'), true);
+    assert.strictEqual(canSeeOrganization(other, 'DGA'), false);
+    assert.strictEqual(canSeeOrganization(null, 'DGA'), false);
+});
+
+test('organizations named like the properties of objects are not in the policy', () => {
+    ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(organization => {
+        assert.strictEqual(canSeeOrganization(other, organization), false, organization);
+        assert.strictEqual(canSeeDataset(other, { organization, visible: 1 }), false, organization);
+    });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { reminderSchedule, daysLeft } = require('../src/utils/reminderUtils');
+
+const day = 24 * 60 * 60 * 1000;
+const from = new Date('2026-03-01T12:00:00Z');
+const options = { every_days: 14, daily_days: 7 };
+const daysAfter = dates => dates.map(date => (date.getTime() - from.getTime()) / day);
+
+test('reminders are sent every two weeks, then daily in the last week', () => {
+    const deadline = new Date(from.getTime() + 60 * day);
+    assert.deepStrictEqual(daysAfter(reminderSchedule(from, deadline, options)), [14, 28, 42, 53, 54, 55, 56, 57, 58, 59]);
+});
+
+test('daily reminders fall at the time of day of the deadline', () => {
+    const deadline = new Date(from.getTime() + 30 * day + 6 * 60 * 60 * 1000);
+    const schedule = reminderSchedule(from, deadline, options);
+    schedule.slice(-7).forEach(date => assert.strictEqual(date.getUTCHours(), 18));
+    assert.strictEqual(schedule[schedule.length - 1].getTime(), deadline.getTime() - day);
+});
+
+test('short deadlines only get the daily reminders that are still to come', () => {
+    const deadline = new Date(from.getTime() + 3 * day);
+    assert.deepStrictEqual(daysAfter(reminderSchedule(from, deadline, options)), [1, 2]);
+});
+
+test('deadlines that have passed get no reminders', () => {
+    assert.deepStrictEqual(reminderSchedule(from, new Date(from.getTime() - day), options), []);
+    assert.deepStrictEqual(reminderSchedule(from, from, options), []);
+});
+
+test('the days left are whole, and never negative', () => {
+    const deadline = new Date(from.getTime() + 30 * day);
+    assert.strictEqual(daysLeft(deadline, from), 30);
+    assert.strictEqual(daysLeft(deadline, new Date(from.getTime() + 29.5 * day)), 1);
+    assert.strictEqual(daysLeft(deadline, new Date(from.getTime() + 31 * day)), 0);
+});
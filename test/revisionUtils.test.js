@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { revisableProperties, snapshotOf, diffValues, invalidValues } = require('../src/utils/revisionUtils');
+
+const registered = {
+    id: 7,
+    accession_id: 'DIG0000427',
+    name: 'Islet ATAC-seq',
+    organization: 'Broad',
+    principal_investigator: 'Jane Doe',
+    description: '',
+    provider: '',
+    source: '',
+    workflow: 'ATAC-seq',
+    datatype: 'ATAC-seq',
+    embargo_date: null,
+    location: '',
+    visible: 1,
+};
+
+test('only the properties that changed are in the diff, from what to what', () => {
+    assert.deepStrictEqual(diffValues(registered, { name: 'Islet ATAC-seq (hg38)', organization: 'Broad' }), {
+        name: { from: 'Islet ATAC-seq', to: 'Islet ATAC-seq (hg38)' },
+    });
+});
+
+test('values are compared as they are stored', () => {
+    assert.deepStrictEqual(diffValues(registered, { description: null, location: undefined, visible: '1' }), {});
+    const embargoed = { ...registered, embargo_date: new Date('2027-01-01T00:00:00Z') };
+    assert.deepStrictEqual(diffValues(embargoed, { embargo_date: '2027-01-01T00:00:00.000Z' }), {});
+    assert.deepStrictEqual(diffValues(embargoed, { embargo_date: '' }), { embargo_date: { from: '2027-01-01T00:00:00.000Z', to: null } });
+});
+
+test('partial updates leave the other properties alone, and unrevisable ones are ignored', () => {
+    assert.deepStrictEqual(Object.keys(diffValues(registered, { visible: 0, accession_id: 'DIG0000428', status: 'QC' })), ['visible']);
+});
+
+test('snapshots keep every revisable property, and nothing else', () => {
+    const snapshot = snapshotOf(registered);
+    assert.deepStrictEqual(Object.keys(snapshot), [...revisableProperties]);
+    assert.strictEqual(snapshot.description, null);
+    assert.strictEqual(snapshot.visible, 1);
+});
+
+test('restoring a snapshot undoes every change made since', () => {
+    const first = snapshotOf(registered);
+    const edited = { ...registered, name: 'Renamed', embargo_date: new Date('2027-01-01T00:00:00Z'), visible: 0 };
+    const restore = diffValues(edited, first);
+    assert.deepStrictEqual(Object.keys(restore).sort(), ['embargo_date', 'name', 'visible']);
+    const restored = { ...edited, ...Object.fromEntries(Object.entries(restore).map(([property, { to }]) => [property, to])) };
+    assert.deepStrictEqual(snapshotOf(restored), first);
+    assert.deepStrictEqual(diffValues(restored, first), {});
+});
+
+test('updates with values that could not be stored are refused', () => {
+    assert.deepStrictEqual(invalidValues({ name: 'Fine', embargo_date: '2027-01-01', visible: 1 }), []);
+    assert.deepStrictEqual(invalidValues({ name: ' ', embargo_date: 'someday', visible: 2 }), [
+        'embargo_date is not a date',
+        'visible must be 0 or 1',
+        'name cannot be empty',
+    ]);
+    assert.deepStrictEqual(invalidValues({ embargo_date: '' }), []);
+});
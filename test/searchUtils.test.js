@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Op } = require('sequelize');
+const { parseFilters, parseSearch, searchWhere, matchesSearch, searchOrder, nextCursor } = require('../src/utils/searchUtils');
+
+const dataset = {
+    id: 7,
+    user_id: '3',
+    accession_id: 'DIG-000042R',
+    name: 'Example GWAS',
+    description: 'Summary statistics of diabetes',
+    organization: 'DGA',
+    datatype: 'GWAS',
+    principal_investigator: 'pi@example.org',
+};
+
+test('searches are read from the query', () => {
+    const search = parseSearch({ q: ' diabetes ', datatype: ['GWAS', 'WGS'], sort: 'organization,-name', limit: '10' });
+    assert.strictEqual(search.q, 'diabetes');
+    assert.deepStrictEqual(search.filters, { datatype: ['GWAS', 'WGS'] });
+    assert.deepStrictEqual(search.sort, [['organization', 'ASC'], ['name', 'DESC']]);
+    assert.deepStrictEqual(searchOrder(search), [['organization', 'ASC'], ['name', 'DESC'], ['id', 'DESC']]);
+    assert.strictEqual(search.limit, 10);
+    assert.strictEqual(parseSearch({ limit: '100000' }).limit, 500);
+});
+
+test('searches that make no sense are refused', () => {
+    assert.throws(() => parseSearch({ nmae: 'typo' }), /cannot filter on nmae/);
+    assert.throws(() => parseSearch({ sort: 'description' }), /cannot sort on description/);
+    assert.throws(() => parseSearch({ limit: '-1' }), /not a count/);
+    assert.throws(() => parseSearch({ staged_from: 'yesterday' }), /not a date/);
+    assert.throws(() => parseSearch({ cursor: 'x', offset: '10' }), /either a cursor or an offset/);
+});
+
+test('internal fields are only for internal users', () => {
+    assert.throws(() => parseSearch({ principal_investigator: 'pi@example.org' }), /cannot filter on principal_investigator/);
+    assert.throws(() => parseSearch({ sort: 'embargo_date' }), /cannot sort on embargo_date/);
+    assert.throws(() => parseSearch({ embargo_from: '2030-01-01' }), /cannot filter on embargo_from/);
+    const search = parseSearch({ principal_investigator: 'pi@example.org', sort: '-embargo_date' }, { internal: true });
+    assert.deepStrictEqual(search.filters, { principal_investigator: 'pi@example.org' });
+    // text searches don't look into them either
+    assert.strictEqual(matchesSearch(dataset, parseSearch({ q: 'pi@example' }), null), false);
+    assert.strictEqual(matchesSearch(dataset, parseSearch({ q: 'pi@example' }, { internal: true }), null), true);
+});
+
+test('filters are values or lists of values, never operators', () => {
+    assert.deepStrictEqual(parseFilters({ datatype: 'GWAS', status: 3 }), { datatype: 'GWAS', status: '3' });
+    assert.throws(() => parseFilters({ name: { [Op.like]: '%' } }), /must be a value/);
+    assert.throws(() => parseFilters({ name: { $like: '%' } }), /must be a value/);
+    assert.throws(() => parseFilters({ user_id: '3' }), /cannot filter on user_id/);
+});
+
+test('cursors come back as the values they were made from', () => {
+    const search = parseSearch({ sort: '-name' });
+    const cursor = nextCursor(search, dataset);
+    assert.deepStrictEqual(parseSearch({ sort: '-name', cursor }).after, ['Example GWAS', 7]);
+    const dated = parseSearch({ sort: 'updatedAt' }, { internal: true });
+    const updatedAt = new Date('2026-01-02T03:04:05Z');
+    assert.deepStrictEqual(parseSearch({ sort: 'updatedAt', cursor: nextCursor(dated, { ...dataset, updatedAt }) }, { internal: true }).after, [updatedAt, 7]);
+});
+
+test('cursors can neither be read nor changed', () => {
+    const search = parseSearch({ sort: 'name' }, { internal: true });
+    const cursor = nextCursor(search, dataset);
+    const readable = Buffer.from(cursor, 'base64url').toString('latin1');
+    assert.ok(!readable.includes('Example GWAS'));
+    const changed = Buffer.from(cursor, 'base64url');
+    changed[changed.length - 1] ^= 1;
+    assert.throws(() => parseSearch({ sort: 'name', cursor: changed.toString('base64url') }), /not a cursor/);
+    assert.throws(() => parseSearch({ sort: 'name', cursor: Buffer.from('{"sort":"name","values":["A",1]}').toString('base64url') }), /not a cursor/);
+    assert.throws(() => parseSearch({ sort: '-name', cursor }), /another sort/);
+});
+
+test('the same search, in and out of the database', () => {
+    const search = parseSearch({ q: 'DIABETES', organization: ['DGA', 'Broad'], datatype: 'GWAS' });
+    assert.strictEqual(matchesSearch(dataset, search, null), true);
+    assert.strictEqual(matchesSearch(dataset, parseSearch({ datatype: 'WGS' }), null), false);
+    assert.strictEqual(matchesSearch(dataset, parseSearch({ mine: 'true' }), { id: 3 }), true);
+    assert.strictEqual(matchesSearch(dataset, parseSearch({ mine: 'true' }), { id: 4 }), false);
+    // remote datasets have no stage history
+    assert.strictEqual(matchesSearch(dataset, parseSearch({ staged: 'RECEIVED' }), null), false);
+    const where = searchWhere(search, null);
+    assert.deepStrictEqual(where[Op.and].slice(0, 2), [{ organization: ['DGA', 'Broad'] }, { datatype: 'GWAS' }]);
+    assert.deepStrictEqual(where[Op.and][2][Op.or].map(condition => Object.keys(condition)[0]), ['name', 'description']);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { uploadErrors, uploadPath, uploadProgress, bytesReceived, parseContentRange, writeChunk, makeUploadId } = require('../src/utils/uploadUtils');
+
+// uploads are written under the uploads directory of the configuration, in a directory of their own dataset
+const accession_id = `TEST${process.pid}`;
+const newUpload = bytes_expected => ({ upload_id: makeUploadId(), accession_id, filename: 'peaks.bed', bytes_expected, status: 'UPLOAD_START' });
+const chunk = (...parts) => Readable.from(parts.map(part => Buffer.from(part)));
+
+// the uploads directory itself is only removed if nothing else is in it
+test.after(() => {
+    const datasetDirectory = path.dirname(path.dirname(uploadPath(newUpload(0))));
+    fs.rmSync(datasetDirectory, { recursive: true, force: true });
+    try {
+        fs.rmdirSync(path.dirname(datasetDirectory));
+    } catch {}
+});
+
+test('content ranges are parsed, and those that make no sense refused', () => {
+    assert.deepStrictEqual(parseContentRange('bytes 0-99/1000'), { start: 0, end: 99, total: 1000 });
+    assert.deepStrictEqual(parseContentRange(' bytes 900-999/1000 '), { start: 900, end: 999, total: 1000 });
+    assert.strictEqual(parseContentRange('bytes 100-99/1000'), null);
+    assert.strictEqual(parseContentRange('bytes 0-1000/1000'), null);
+    assert.strictEqual(parseContentRange('bytes 0-99/*'), null);
+    assert.strictEqual(parseContentRange('items 0-99/1000'), null);
+    assert.strictEqual(parseContentRange(undefined), null);
+});
+
+test('chunks are appended in order, until the file is complete', async () => {
+    const upload = newUpload(10);
+    assert.strictEqual(await writeChunk(upload, chunk('hello'), parseContentRange('bytes 0-4/10')), 5);
+    assert.strictEqual(await writeChunk(upload, chunk('wor', 'ld'), parseContentRange('bytes 5-9/10')), 10);
+    assert.strictEqual(fs.readFileSync(uploadPath(upload)).toString(), 'helloworld');
+    assert.deepStrictEqual(uploadProgress(upload), {
+        upload_id: upload.upload_id, accession_id, filename: 'peaks.bed', status: 'UPLOAD_START', received: 10, expected: 10, complete: true,
+    });
+});
+
+test('chunks with a bad range are refused', async () => {
+    const upload = newUpload(10);
+    await assert.rejects(writeChunk(upload, chunk('hello'), null), error => error === uploadErrors.BAD_RANGE);
+    // the range has to be of the size of the file that was offered
+    await assert.rejects(writeChunk(upload, chunk('hello'), parseContentRange('bytes 0-4/11')), error => error === uploadErrors.BAD_RANGE);
+    assert.strictEqual(bytesReceived(upload), 0);
+});
+
+test('chunks longer than their range are refused, and what they wrote past it thrown away', async () => {
+    const upload = newUpload(10);
+    await writeChunk(upload, chunk('hello'), parseContentRange('bytes 0-4/10'));
+    await assert.rejects(writeChunk(upload, chunk('wor', 'ld', '!!!'), parseContentRange('bytes 5-9/10')), error => error === uploadErrors.OVERFLOW);
+    assert.ok(bytesReceived(upload) <= 10);
+    assert.strictEqual(fs.readFileSync(uploadPath(upload)).toString(), 'helloworld'.slice(0, bytesReceived(upload)));
+});
+
+test('interrupted uploads are resumed from where the file ends', async () => {
+    const upload = newUpload(10);
+    await writeChunk(upload, chunk('hel'), parseContentRange('bytes 0-2/10'));
+    // the client thought it had sent more than it had
+    await assert.rejects(writeChunk(upload, chunk('world'), parseContentRange('bytes 5-9/10')), error => error === uploadErrors.OFFSET_MISMATCH);
+    const { received } = uploadProgress(upload);
+    assert.strictEqual(received, 3);
+    assert.strictEqual(await writeChunk(upload, chunk('loworld'), parseContentRange(`bytes ${received}-9/10`)), 10);
+    assert.strictEqual(fs.readFileSync(uploadPath(upload)).toString(), 'helloworld');
+});
+
+test('chunks that are gone before their turn are not written', async () => {
+    const upload = newUpload(10);
+    const gone = chunk('hello');
+    gone.destroy();
+    await assert.rejects(writeChunk(upload, gone, parseContentRange('bytes 0-4/10')), error => error === uploadErrors.INTERRUPTED);
+    assert.strictEqual(bytesReceived(upload), 0);
+});
+
+test('chunks sent at once are written one at a time, so only one of them lands at an offset', async () => {
+    const upload = newUpload(10);
+    const results = await Promise.allSettled([
+        writeChunk(upload, chunk('hello'), parseContentRange('bytes 0-4/10')),
+        writeChunk(upload, chunk('HELLO'), parseContentRange('bytes 0-4/10')),
+        writeChunk(upload, chunk('world'), parseContentRange('bytes 5-9/10')),
+    ]);
+    assert.deepStrictEqual(results.map(result => result.value || result.reason), [5, uploadErrors.OFFSET_MISMATCH, 10]);
+    assert.strictEqual(fs.readFileSync(uploadPath(upload)).toString(), 'helloworld');
+});
+
+test('uploads are written apart from each other', async () => {
+    const [first, second] = [newUpload(5), newUpload(5)];
+    await Promise.all([
+        writeChunk(first, chunk('hello'), parseContentRange('bytes 0-4/5')),
+        writeChunk(second, chunk('HELLO'), parseContentRange('bytes 0-4/5')),
+    ]);
+    assert.strictEqual(fs.readFileSync(uploadPath(first)).toString(), 'hello');
+    assert.strictEqual(fs.readFileSync(uploadPath(second)).toString(), 'HELLO');
+});